@@ -1,44 +1,55 @@
 (function(){
   "use strict";
 
-  /**
-   * Default tax brackets aligned with Stage 3 (effective 1 Jul 2024).
-   * Array of { threshold, rate } where threshold is inclusive lower bound.
-   * Rates are decimals (e.g., 0.16 for 16%).
-   * Example piecewise: 0% up to 18,200; 16% >18,200; 30% >45,000; 37% >135,000; 45% >190,000
-   */
-  const defaultTaxBrackets = [
-    { threshold: 0, rate: 0.00 },
-    { threshold: 18200, rate: 0.16 },
-    { threshold: 45000, rate: 0.30 },
-    { threshold: 135000, rate: 0.37 },
-    { threshold: 190000, rate: 0.45 },
+  // Defaults and reference data shared with the calculation engine
+  const { cityAppreciationRates } = window.PropertyEngine;
+
+  // Every scalar input that feeds recalc(); also the fields saved with a scenario
+  const inputIds = ['salarySelf','salarySpouse','dependants','privateHospitalCover','helpDebtSelf','helpDebtSpouse','purchasePrice','deposit','weeklyRent','interestRate','loanTermYears','loanType','ioYears','ownershipSelfPct','purchaseState','foreignPurchaser','upfrontMode','upfrontCosts','conveyancingCost','councilRates','waterRates','landlordInsurance','maintenancePct','pmFeePct','vacancyWeeks','leaseMonths','lettingFeeWeeks','advertisingCost','landlordExcess','propertyCondition','buildYear','constructionCost','agentPurchasePct','agentSellingPct','marketingCosts','medicareRatePct','applyBracketChanges','appreciationPct','horizonYears','altReturnPct','altDividendYieldPct','altFrankedPct','investDelayYears','pporExtraMonthly','rentGrowthPct','cpiPct','maintenanceIndex','salaryGrowthSelfPct','salaryGrowthSpousePct','serviceBufferPct','livingExpensesMonthly','rentShadingPct','pporOffsetOpening','pporOffsetMonthly','ipOffsetOpening','ipOffsetMonthly','surplusDestination','depositSource','portfolioMode','pporValue','pporBalance','pporRate','pporTermYears','pporAppreciationPct','mcRuns','mcSeed','mcGrowthMeanPct','mcGrowthVolPct','mcRateMeanPct','mcRateVolPct','mcVacancyVolWeeks'];
+
+  // Selects with their own change handlers: saved with the state but not in inputIds
+  const stateSelectIds = ['investmentCity', 'assumptionPack', 'lmiLender'];
+
+  // Starting row when portfolio mode is switched on with an empty property list
+  const defaultPortfolioProperty = { name: 'Property 2', buyAfter: 3, city: 'brisbane', price: 650000, deposit: 130000, rate: 6.4, termYears: 30, loanType: 'P&I', ioYears: 5, weeklyRent: 600, expenses: 9000, depreciation: 6000, capitalWorks: 4000, funding: 'equity' };
+
+  // Division 40 assets offered for a new property (cost, effective life in years, dv = diminishing value / pc = prime cost)
+  const defaultPlantAssets = [
+    { name: 'Carpets', cost: 4000, life: 10, method: 'dv' },
+    { name: 'Hot water system', cost: 2500, life: 12, method: 'dv' },
+    { name: 'Split-system air conditioner', cost: 5000, life: 10, method: 'dv' },
+    { name: 'Blinds', cost: 2000, life: 10, method: 'dv' },
+    { name: 'Oven and cooktop', cost: 2500, life: 12, method: 'dv' }
   ];
 
-  // Medicare levy simple flat rate (user can override). 2% default.
-  let medicareRate = 0.02;
-
-  // LMI tiers default: simple approximation
-  // If LVR <= 80% -> 0; 80-85: 0.5%; 85-90: 1.0%; 90-95: 2.0%; >95: 3.5%
-  const defaultLmiTiers = [
-    { min: 0, max: 80, pct: 0 },
-    { min: 80, max: 85, pct: 0.005 },
-    { min: 85, max: 90, pct: 0.01 },
-    { min: 90, max: 95, pct: 0.02 },
-    { min: 95, max: 100, pct: 0.035 },
+  // Assumptions & Notes, listed on the page and again in the printed report
+  const assumptionNotes = [
+    'Tax brackets default to Stage 3 rates effective 1 July 2024; adjust for 2025–26 if different.',
+    'Tax is computed per person with and without the property: brackets, low income tax offset, Medicare levy low-income and family thresholds, Medicare levy surcharge (when there is no private hospital cover) and HELP repayments. The tax benefit is the exact difference. Rental losses larger than other income are not carried forward.',
+    'LMI estimated from editable tiers when LVR > 80%; actual premiums vary by lender/borrower.',
+    'Stamp duty uses 2025–26 general (non-first-home) schedules per state; registration and transfer fees are approximate. Upfront costs reduce Year 0 net worth.',
+    'Interest for P&I uses an amortisation approximation for year 1.',
+    'Net rental losses are added back to income for the Medicare levy surcharge and HELP repayment income, so negative gearing does not reduce either.',
+    "The investment property is sold at the horizon. CGT uses a cost base of price + upfront costs + agent purchase cost + selling costs, less capital works (Division 43) deductions claimed, with the 50% discount after 12 months; each owner's share is added to their income in the year of sale.",
+    'Shares/ETF alternative assumes dividends are reinvested after tax and the portfolio is sold at the horizon; brokerage is ignored.',
+    "Projections index rent, CPI-linked expenses, maintenance and each salary every year from today's figures; marginal rates are recalculated yearly so bracket creep is captured (brackets themselves are not indexed).",
+    'Portfolio mode: all investment properties are sold at the horizon, with CGT on each gain stacked in the same year. Rents, expenses, interest and depreciation are combined into one taxable result per owner each year; equity release tops up earlier investment loans and that interest is treated as deductible.',
+    "Borrowing capacity is an indicative lender-style test, not a lender's assessment. The living-expense benchmark is a simplified household-size floor in the style of HEM. Negative gearing tax benefits are not counted as income. A debt-to-income ratio of 6 or more is flagged as high.",
+    'Interest-only loans revert to P&I at the end of the IO period, re-amortised over the remaining loan term.',
+    'Rate schedule changes apply from the start of the listed year; repayments are re-amortised over the remaining term.',
+    'This tool is general information only and not financial or tax advice.',
+    'Legislative risk: If negative gearing or tax settings change post-July 2025, results may differ.'
   ];
 
-  // Australian cities house price appreciation data (annual rates)
-  const cityAppreciationRates = {
-    sydney: 6.9,
-    melbourne: 4.6,
-    brisbane: 6.5,
-    perth: 3.1,
-    adelaide: 6.7,
-    hobart: 7.0,
-    canberra: 5.9,
-    darwin: 0.5
-  };
+  // Most recent recalc() result, used by the exports
+  let lastResult = null;
+
+  // Projection inputs from the most recent recalc() and the last Monte Carlo run ({ key, result })
+  let lastProjectionCtx = null;
+  let lastSimulation = null;
+
+  // Share of the gap to the long-run rate that the simulated investment loan rate closes each year
+  const simulationRateReversion = 0.3;
 
   function currency(n){
     if (!isFinite(n)) return "—";
@@ -48,6 +59,10 @@
     if (!isFinite(n)) return "—";
     return n.toLocaleString(undefined, { style: "currency", currency: "AUD", maximumFractionDigits: 2 });
   }
+  // User text (names from the form, saved scenarios or shared links) placed into innerHTML
+  function escapeHtml(text){
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
   function percent(n){
     if (!isFinite(n)) return "—";
     return (n*100).toFixed(2) + "%";
@@ -60,6 +75,10 @@
     return isNaN(v) ? 0 : v;
   }
 
+  function cityName(city){
+    return city.charAt(0).toUpperCase() + city.slice(1);
+  }
+
   function handleCitySelection(){
     const citySelect = document.getElementById('investmentCity');
     const appreciationInput = document.getElementById('appreciationPct');
@@ -69,11 +88,12 @@
     const selectedCity = citySelect.value;
     
     if (selectedCity === 'custom') {
-      // Allow manual entry - don't change the current value
+      // Allow manual entry - don't change the current value (duty state may still change)
+      recalc();
       return;
     }
     
-    const appreciationRate = cityAppreciationRates[selectedCity];
+    const appreciationRate = selectedPack().cityGrowth[selectedCity];
     if (appreciationRate !== undefined) {
       appreciationInput.value = appreciationRate.toFixed(1);
       recalc(); // Trigger recalculation with new appreciation rate
@@ -93,6 +113,82 @@
     return brackets;
   }
 
+  function buildRateScheduleFromTable(){
+    const rows = document.querySelectorAll('#rateScheduleTable tbody tr');
+    const schedule = [];
+    rows.forEach(r => {
+      const year = Math.max(1, Math.floor(parseFloat(r.querySelector('.rs-year').value) || 1));
+      const ipRate = parseFloat(r.querySelector('.rs-ip').value);
+      const pporRate = parseFloat(r.querySelector('.rs-ppor').value);
+      schedule.push({ year, ipRate, pporRate });
+    });
+    schedule.sort((a,b)=>a.year-b.year);
+    return schedule;
+  }
+
+  // Timeline events: each type's fields as [name, label, default, step]
+  const eventTypes = {
+    refinance: { name: 'Refinance', marker: 'Refinance', fields: [['rate', 'New rate (%)', 5.5, 0.01], ['termYears', 'Term (years)', 25, 1], ['cost', 'Costs ($)', 1000, 100]] },
+    cashOut: { name: 'Cash-out to target LVR', marker: 'Cash-out', fields: [['lvrPct', 'Target LVR (%)', 80, 1]] },
+    lumpSum: { name: 'Lump-sum repayment', marker: 'Lump sum', fields: [['amount', 'Amount ($)', 20000, 1000]] },
+    convertPpor: { name: 'Rent out the PPOR', marker: 'PPOR let', fields: [['weeklyRent', 'PPOR rent ($/wk)', 700, 10], ['expenses', 'PPOR expenses ($/yr)', 5000, 100], ['rentPaid', 'Rent paid elsewhere ($/wk)', 650, 10]] },
+    sell: { name: 'Sell the investment property', marker: 'Sold', fields: [] }
+  };
+
+  function buildEventsFromTable(){
+    const rows = document.querySelectorAll('#eventsTable tbody tr');
+    const events = [];
+    rows.forEach(r => {
+      const type = r.querySelector('.ev-type').value;
+      const e = { year: Math.max(1, Math.floor(parseFloat(r.querySelector('.ev-year').value) || 1)), type };
+      eventTypes[type].fields.forEach(([name]) => {
+        e[name] = parseFloat(r.querySelector(`.ev-field[data-field="${name}"]`).value) || 0;
+      });
+      events.push(e);
+    });
+    events.sort((a,b)=>a.year-b.year);
+    return events;
+  }
+
+  function buildPortfolioFromTable(){
+    const rows = document.querySelectorAll('#portfolioTable tbody tr');
+    const properties = [];
+    rows.forEach(r => {
+      const num = (cls) => parseFloat(r.querySelector(cls).value) || 0;
+      properties.push({
+        name: r.querySelector('.pf-name').value.trim() || `Property ${properties.length + 2}`,
+        buyAfter: Math.max(0, Math.floor(num('.pf-buy'))),
+        city: r.querySelector('.pf-city').value,
+        price: Math.max(0, num('.pf-price')),
+        deposit: Math.max(0, num('.pf-deposit')),
+        rate: Math.max(0, num('.pf-rate')),
+        termYears: Math.max(1, Math.floor(num('.pf-term'))),
+        loanType: r.querySelector('.pf-type').value,
+        ioYears: Math.max(0, Math.floor(num('.pf-io'))),
+        weeklyRent: Math.max(0, num('.pf-rent')),
+        expenses: Math.max(0, num('.pf-expenses')),
+        depreciation: Math.max(0, num('.pf-dep')),
+        capitalWorks: Math.max(0, num('.pf-cw')),
+        funding: r.querySelector('.pf-funding').value
+      });
+    });
+    return properties;
+  }
+
+  function buildPlantAssetsFromTable(){
+    const rows = document.querySelectorAll('#plantTable tbody tr');
+    const assets = [];
+    rows.forEach(r => {
+      assets.push({
+        name: r.querySelector('.pa-name').value.trim() || `Asset ${assets.length + 1}`,
+        cost: Math.max(0, parseFloat(r.querySelector('.pa-cost').value) || 0),
+        life: Math.max(1, parseFloat(r.querySelector('.pa-life').value) || 1),
+        method: r.querySelector('.pa-method').value === 'pc' ? 'pc' : 'dv'
+      });
+    });
+    return assets;
+  }
+
   function buildLmiTiersFromTable(){
     const rows = document.querySelectorAll('#lmiTable tbody tr');
     const tiers = [];
@@ -106,297 +202,271 @@
     return tiers;
   }
 
-  function incomeTaxAnnual(taxableIncome, brackets){
-    // Piecewise progressive tax without offsets; add Medicare separately
-    if (taxableIncome <= 0) return 0;
-    let tax = 0;
-    for (let i = 0; i < brackets.length; i++) {
-      const curr = brackets[i];
-      const next = brackets[i+1];
-      const lower = curr.threshold;
-      const upper = next ? next.threshold : Infinity;
-      if (taxableIncome > lower) {
-        const amountInBand = Math.min(taxableIncome, upper) - lower;
-        tax += amountInBand * curr.rate;
-      }
-    }
-    return tax;
+  /** Every input for PropertyEngine.calculate(), read from the form (see engine.js for units). */
+  function readInputs(){
+    const selectValue = (id, fallback) => (document.getElementById(id) || {}).value || fallback;
+    const pack = selectedPack();
+    const city = selectValue('investmentCity', 'sydney');
+    const stateSel = selectValue('purchaseState', 'auto');
+    const portfolioMode = selectValue('portfolioMode', 'single') === 'portfolio';
+    return Object.assign({
+      salarySelf: readNumber('salarySelf'),
+      salarySpouse: readNumber('salarySpouse'),
+      ownershipSelf: Math.min(100, Math.max(0, readNumber('ownershipSelfPct'))) / 100,
+      dependants: Math.max(0, Math.floor(readNumber('dependants'))),
+      privateCover: selectValue('privateHospitalCover', 'yes') === 'yes',
+      helpDebts: [Math.max(0, readNumber('helpDebtSelf')), Math.max(0, readNumber('helpDebtSpouse'))],
+      brackets: buildTaxBracketsFromTable(),
+      medicareRate: readNumber('medicareRatePct')/100,
+      purchasePrice: readNumber('purchasePrice'),
+      deposit: readNumber('deposit'),
+      dutyState: (stateSel === 'auto') ? (window.StampDuty.stateForCity(city) || 'NSW') : stateSel,
+      foreignPurchaser: selectValue('foreignPurchaser', 'no') === 'yes',
+      conveyancing: readNumber('conveyancingCost'),
+      manualUpfrontCosts: (selectValue('upfrontMode', 'auto') === 'manual') ? readNumber('upfrontCosts') : null,
+      agentPurchasePct: readNumber('agentPurchasePct')/100,
+      agentSellingPct: readNumber('agentSellingPct')/100,
+      marketingCosts: readNumber('marketingCosts'),
+      lmiTiers: buildLmiTiersFromTable(),
+      interestRate: readNumber('interestRate'),
+      termYears: readNumber('loanTermYears'),
+      loanType: selectValue('loanType', 'P&I'),
+      ioYears: Math.max(0, Math.floor(readNumber('ioYears'))),
+      ipOffsetOpening: Math.max(0, readNumber('ipOffsetOpening')),
+      ipOffsetMonthly: Math.max(0, readNumber('ipOffsetMonthly')),
+      depositSource: selectValue('depositSource', 'cash'),
+      surplusDestination: selectValue('surplusDestination', 'repay'),
+      pporExtraMonthly: Math.max(0, readNumber('pporExtraMonthly')),
+      weeklyRent: readNumber('weeklyRent'),
+      rentAllowances: {
+        vacancyWeeks: Math.min(52, Math.max(0, readNumber('vacancyWeeks'))),
+        leaseMonths: Math.max(1, readNumber('leaseMonths')),
+        lettingFeeWeeks: Math.max(0, readNumber('lettingFeeWeeks')),
+        advertisingCost: Math.max(0, readNumber('advertisingCost')),
+        landlordExcess: Math.max(0, readNumber('landlordExcess'))
+      },
+      councilRates: readNumber('councilRates'),
+      waterRates: readNumber('waterRates'),
+      landlordInsurance: readNumber('landlordInsurance'),
+      maintenancePct: readNumber('maintenancePct')/100,
+      pmFeePct: readNumber('pmFeePct')/100,
+      depreciation: {
+        condition: selectValue('propertyCondition', 'established'),
+        buildYear: Math.floor(readNumber('buildYear')),
+        constructionCost: Math.max(0, readNumber('constructionCost')),
+        assets: buildPlantAssetsFromTable()
+      },
+      rentShadingPct: readNumber('rentShadingPct'),
+      portfolio: portfolioMode ? buildPortfolioFromTable() : [],
+      investDelayYears: Math.max(0, Math.floor(readNumber('investDelayYears'))),
+      // Assumption pack: offsets and levies, legislated bracket changes, the year it starts and city growth
+      taxSettings: pack.taxSettings,
+      bracketChanges: (selectValue('applyBracketChanges', 'yes') === 'yes') ? pack.bracketChanges : [],
+      startYear: pack.year,
+      cityGrowth: pack.cityGrowth
+    }, readProjectionSettings());
   }
 
-  function marginalRateForIncome(taxableIncome, brackets){
-    // Returns top bracket rate (excluding medicare)
-    let rate = 0;
-    for (let i = 0; i < brackets.length; i++) {
-      const next = brackets[i+1];
-      if (!next || taxableIncome < next.threshold) {
-        rate = brackets[i].rate;
-        break;
-      }
-    }
-    return rate;
+  function recalc(){
+    // Portfolio mode shows the property table (with a first row) before it is read
+    renderPortfolioVisibility((document.getElementById('portfolioMode') || {}).value === 'portfolio');
+    const inputs = readInputs();
+    const res = window.PropertyEngine.calculate(inputs);
+
+    // Keep the upfront costs field in sync so users see the calculated figure reflected
+    const upfrontEl = document.getElementById('upfrontCosts');
+    const manualUpfront = inputs.manualUpfrontCosts !== null;
+    if (upfrontEl && !manualUpfront && isFinite(res.upfront.total)) upfrontEl.value = Math.round(res.upfront.total);
+    if (upfrontEl) upfrontEl.readOnly = !manualUpfront;
+    renderOffsetWarnings(inputs.depositSource, inputs.surplusDestination);
+    renderAssumptionPack(inputs);
+    renderServiceability(res.service, res.loanAmount);
+
+    // UI updates
+    document.getElementById('annualRent').textContent = currency(res.annualRent);
+    document.getElementById('rentLossDetails').textContent =
+      `${currency(res.grossAnnualRent)} gross less ${currency(res.grossAnnualRent - res.annualRent)} vacancy (${inputs.rentAllowances.vacancyWeeks} weeks). Re-letting costs and excess allowance of ${currency(res.lettingCosts)} are included in expenses.`;
+    document.getElementById('annualExpenses').textContent = currency(res.itemisedExpenses);
+    document.getElementById('totalAnnualExpenses').textContent = currency(res.itemisedExpenses + res.annualInterest);
+    document.getElementById('annualInterest').textContent = currency(res.annualInterest);
+    document.getElementById('annualPrincipal').textContent = currency(res.annualPrincipal);
+    document.getElementById('rentalYield').textContent = `${percent(res.rentalYield)} gross / ${percent(res.rentalYieldNet)} net`;
+    document.getElementById('loanAmount').textContent = currency(res.loanAmount);
+    document.getElementById('lvr').textContent = (isFinite(res.lvr) ? res.lvr.toFixed(2) + '%' : '—');
+    document.getElementById('lmiCost').textContent = currency(res.lmiCost);
+    document.getElementById('netGearingPreDep').textContent = currency(res.preDepResult);
+    document.getElementById('taxableLoss').textContent = currency(res.taxableLoss);
+    document.getElementById('annualTaxSavings').textContent = currency(res.annualTaxSavings);
+    document.getElementById('oopBeforeTax').textContent = currency(res.oopBeforeTax);
+    document.getElementById('oopAfterTax').textContent = currency(res.oopAfterTax);
+    document.getElementById('monthlyOop').textContent = `${currency2(res.oopBeforeTax/12)} / ${currency2(res.oopAfterTax/12)}`;
+    document.getElementById('combinedMtr').textContent = isFinite(res.mtrSelf+res.mtrSpouse) ? `${(res.mtrSelf*100).toFixed(2)}% / ${(res.mtrSpouse*100).toFixed(2)}%` : '—';
+    document.getElementById('effectiveMtr').textContent = isFinite(res.combinedMtr) ? (res.combinedMtr*100).toFixed(2) + '%' : '—';
+    renderTaxBreakdown(res.taxEffect);
+    document.getElementById('upfrontCostsTotal').textContent = currency(res.upfrontCosts);
+    document.getElementById('cashAtSettlement').textContent = currency(res.cashAtSettlement);
+    renderUpfrontBreakdown(res.upfront, manualUpfront ? res.upfrontCosts : null);
+    renderDepreciationSummary(res.depreciationSchedule, Math.max(1, inputs.horizonYears - inputs.investDelayYears));
+
+    // Projections
+    lastProjectionCtx = res.ctx;
+    renderProjections(res.ctx, res.projection);
+    renderWorking(res);
+    lastResult = res;
+    return lastResult;
   }
 
-  function annuityMonthlyPayment(principal, annualRate, years){
-    // Standard mortgage payment formula for P&I
-    if (principal <= 0) return 0;
-    const r = (annualRate/100) / 12;
-    const n = years * 12;
-    if (r === 0) return principal / n;
-    const pmt = principal * r / (1 - Math.pow(1 + r, -n));
-    return pmt;
+  function renderServiceability(service, loanAmount){
+    const valueEl = document.getElementById('serviceMaxLoan');
+    const detailsEl = document.getElementById('serviceDetails');
+    const warnEl = document.getElementById('serviceWarning');
+    if (!valueEl || !detailsEl) return;
+    valueEl.textContent = currency(service.maxLoan);
+    valueEl.classList.toggle('warn', !service.passes);
+    const rows = [
+      [`Surplus at ${service.assessedRatePct.toFixed(2)}% (this loan)`, `${currency(service.surplusMonthly)}/month`],
+      ['Living expenses used', `${currency(service.livingMonthly)}/month${service.livingMonthly === service.benchmarkMonthly ? ' (benchmark)' : ''}`],
+      ['Shaded rental income', `${currency(service.shadedRentMonthly)}/month`],
+      ['Existing commitments (buffered)', `${currency(service.commitmentsMonthly)}/month`],
+      ['Debt-to-income', isFinite(service.dti) ? `${service.dti.toFixed(1)}×` : '—'],
+    ];
+    detailsEl.innerHTML = rows.map(([label, v]) => `<div><span>${label}</span><span>${v}</span></div>`).join('');
+    if (!warnEl) return;
+    const warnings = [];
+    if (!service.passes){
+      warnings.push(`This purchase price and deposit fail serviceability: the ${currency(loanAmount)} loan leaves a shortfall of ${currency(-service.surplusMonthly)}/month at the assessed rate. Estimated maximum loan is ${currency(service.maxLoan)}.`);
+    }
+    if (service.highDti){
+      warnings.push(`Debt-to-income of ${service.dti.toFixed(1)}× is at or above ${window.Serviceability.highDtiRatio}×; many lenders restrict or decline high-DTI lending.`);
+    }
+    warnEl.innerHTML = warnings.map(w => `<p>${w}</p>`).join('');
+    warnEl.style.display = warnings.length ? '' : 'none';
   }
 
-  function estimateYearOneInterestPI(principal, annualRate, years){
-    // Approximate year 1 interest portion for P&I loan
-    const monthly = annuityMonthlyPayment(principal, annualRate, years);
-    const r = (annualRate/100) / 12;
-    let balance = principal;
-    let interestPaid = 0;
-    for (let m=0; m<12; m++){
-      const interest = balance * r;
-      const principalPaid = Math.max(0, monthly - interest);
-      balance = Math.max(0, balance - principalPaid);
-      interestPaid += interest;
+  function renderOffsetWarnings(depositSource, surplusDestination){
+    const el = document.getElementById('offsetWarning');
+    if (!el) return;
+    const warnings = [];
+    if (depositSource === 'pporRedraw'){
+      warnings.push('Redrawing from the PPOR loan to fund the investment turns part of your home loan into investment debt. Mixing it with private debt contaminates the loan: interest must be apportioned and repayments reduce both portions, so this calculator does not treat any PPOR interest as deductible. Consider a separate split loan, or funding from the PPOR offset account instead.');
+    }
+    if (surplusDestination === 'ipOffset'){
+      warnings.push('Cash in the investment loan offset reduces deductible interest; the same cash in the PPOR offset usually saves more after tax.');
     }
-    const principalPaidYear = Math.max(0, principal - balance);
-    return { interestPaid, principalPaidYear };
+    el.innerHTML = warnings.map(w => `<p>${w}</p>`).join('');
+    el.style.display = warnings.length ? '' : 'none';
   }
 
-  function estimateLmiCost(lvrPct, loanAmount, tiers){
-    if (lvrPct <= 80) return 0;
-    const t = tiers.find(x => lvrPct > x.min && lvrPct <= x.max) || tiers[tiers.length-1];
-    return loanAmount * t.pct;
+  // Per-owner tax without and with the property
+  // Rows of the per-owner tax breakdown (on screen and in the report)
+  const taxBreakdownLines = [
+    ['Taxable income', t => t.taxableIncome],
+    ['Income tax (after LITO)', t => t.incomeTax],
+    ['Low income tax offset', t => t.lito],
+    ['Medicare levy', t => t.medicare],
+    ['Medicare levy surcharge', t => t.mls],
+    ['HELP repayment', t => t.help],
+    ['Total payable', t => t.total],
+  ];
+
+  function renderTaxBreakdown(taxEffect){
+    const table = document.getElementById('taxBreakdownTable');
+    if (!table) return;
+    const owners = ['Me', 'Spouse'];
+    table.querySelector('thead').innerHTML = `<tr><th></th>${owners.map(o => `<th>${o} without</th><th>${o} with</th>`).join('')}</tr>`;
+    table.querySelector('tbody').innerHTML = taxBreakdownLines.map(([label, get]) =>
+      `<tr><td>${label}</td>${owners.map((o, i) => `<td>${currency(get(taxEffect.without[i]))}</td><td>${currency(get(taxEffect.with[i]))}</td>`).join('')}</tr>`
+    ).join('') + `<tr><td>Tax benefit</td>${owners.map((o, i) => `<td colspan="2">${currency(taxEffect.benefits[i])}</td>`).join('')}</tr>`;
   }
 
-  function recalc(){
-    const salarySelf = readNumber('salarySelf');
-    const salarySpouse = readNumber('salarySpouse');
-    const purchasePrice = readNumber('purchasePrice');
-    const deposit = readNumber('deposit');
-    const weeklyRent = readNumber('weeklyRent');
-    const interestRate = readNumber('interestRate');
-    const termYears = readNumber('loanTermYears');
-    const loanType = (document.getElementById('loanType') || {}).value || 'P&I';
-    const ownershipSelf = Math.min(100, Math.max(0, readNumber('ownershipSelfPct'))) / 100;
-    const ownershipSpouse = 1 - ownershipSelf;
-
-    // Upfront costs: set to 5% of purchase price (auto-calculated)
-    const upfrontCosts = purchasePrice * 0.05;
-    const upfrontEl = document.getElementById('upfrontCosts');
-    if (upfrontEl && isFinite(upfrontCosts)) {
-      // Keep the UI in sync so users see the 5% figure reflected
-      upfrontEl.value = Math.round(upfrontCosts);
-    }
-    const councilRates = readNumber('councilRates');
-    const waterRates = readNumber('waterRates');
-    const landlordInsurance = readNumber('landlordInsurance');
-    const maintenancePct = readNumber('maintenancePct')/100;
-    const pmFeePct = readNumber('pmFeePct')/100;
-    const depreciation = readNumber('depreciation');
-    const agentPurchasePct = readNumber('agentPurchasePct')/100;
-    const agentSellingPct = readNumber('agentSellingPct')/100;
-    const marketingCosts = readNumber('marketingCosts');
-
-    // Tax config from UI
-    const brackets = buildTaxBracketsFromTable();
-    medicareRate = (parseFloat(document.getElementById('medicareRatePct').value) || 0)/100;
-    const lmiTiers = buildLmiTiersFromTable();
-
-    // New projection controls
-    const investDelayYears = Math.max(0, Math.floor(readNumber('investDelayYears')));
-    const pporExtraMonthly = Math.max(0, readNumber('pporExtraMonthly'));
-
-    const annualRent = weeklyRent * 52;
-    const managementFee = annualRent * pmFeePct;
-    const maintenance = purchasePrice * maintenancePct;
-    const agentPurchaseCost = purchasePrice * agentPurchasePct;
-    const agentSellingCost = purchasePrice * agentSellingPct;
-    const totalSellingCosts = agentSellingCost + marketingCosts;
-    const itemisedExpenses = councilRates + waterRates + landlordInsurance + managementFee + maintenance;
-
-    // Base loan before LMI
-    const baseLoan = Math.max(0, purchasePrice - deposit);
-    const baseLvr = purchasePrice > 0 ? (baseLoan / purchasePrice) * 100 : 0;
-    const lmiCost = estimateLmiCost(baseLvr, baseLoan, lmiTiers);
-
-    // Assume LMI is capitalised into the loan
-    const loanAmount = baseLoan + lmiCost;
-    const lvr = purchasePrice > 0 ? (loanAmount / purchasePrice) * 100 : 0;
-
-    let annualInterest = 0;
-    let annualPrincipal = 0;
-    if (loanType === 'IO'){
-      annualInterest = loanAmount * (interestRate/100);
-      annualPrincipal = 0;
-    } else {
-      const { interestPaid, principalPaidYear } = estimateYearOneInterestPI(loanAmount, interestRate, termYears);
-      annualInterest = interestPaid;
-      annualPrincipal = principalPaidYear;
-    }
-
-    const totalAnnualExpenses = itemisedExpenses + annualInterest; // principal excluded for tax, but used for cashflow later
-    const preDepResult = annualRent - itemisedExpenses - annualInterest; // gearing before depreciation
-    const taxableLoss = preDepResult - depreciation; // can be negative or positive
-
-    // Combined incomes and marginal rate approx (top bracket of combined taxable income)
-    // Compute person-level marginal rates and savings
-    const mtrSelf = marginalRateForIncome(salarySelf, brackets) + medicareRate;
-    const mtrSpouse = marginalRateForIncome(salarySpouse, brackets) + medicareRate;
-    const lossSelf = Math.min(0, taxableLoss * ownershipSelf);
-    const lossSpouse = Math.min(0, taxableLoss * ownershipSpouse);
-    const taxSavingsSelf = -lossSelf * mtrSelf;
-    const taxSavingsSpouse = -lossSpouse * mtrSpouse;
-    const annualTaxSavings = taxSavingsSelf + taxSavingsSpouse;
-    const combinedMtr = (taxableLoss < 0) ? (annualTaxSavings / (-taxableLoss)) : (mtrSelf*ownershipSelf + mtrSpouse*ownershipSpouse);
-
-    // Out of pocket before tax: include principal for cashflow burden
-    const oopBeforeTax = (itemisedExpenses + annualInterest + annualPrincipal) - annualRent;
-    const oopAfterTax = oopBeforeTax - annualTaxSavings;
-
-    // Derived
-    const rentalYield = purchasePrice > 0 ? annualRent / purchasePrice : 0;
-    
-    // UI updates
-    document.getElementById('annualRent').textContent = currency(annualRent);
-    document.getElementById('annualExpenses').textContent = currency(itemisedExpenses);
-    document.getElementById('totalAnnualExpenses').textContent = currency(itemisedExpenses + annualInterest);
-    document.getElementById('annualInterest').textContent = currency(annualInterest);
-    document.getElementById('annualPrincipal').textContent = currency(annualPrincipal);
-    document.getElementById('rentalYield').textContent = percent(rentalYield);
-    document.getElementById('loanAmount').textContent = currency(loanAmount);
-    document.getElementById('lvr').textContent = (isFinite(lvr) ? lvr.toFixed(2) + '%' : '—');
-    document.getElementById('lmiCost').textContent = currency(lmiCost);
-    document.getElementById('netGearingPreDep').textContent = currency(preDepResult);
-    document.getElementById('taxableLoss').textContent = currency(taxableLoss);
-    document.getElementById('annualTaxSavings').textContent = currency(annualTaxSavings);
-    document.getElementById('oopBeforeTax').textContent = currency(oopBeforeTax);
-    document.getElementById('oopAfterTax').textContent = currency(oopAfterTax);
-    document.getElementById('monthlyOop').textContent = `${currency2(oopBeforeTax/12)} / ${currency2(oopAfterTax/12)}`;
-    document.getElementById('combinedMtr').textContent = isFinite(mtrSelf+mtrSpouse) ? `${(mtrSelf*100).toFixed(2)}% / ${(mtrSpouse*100).toFixed(2)}%` : '—';
-    document.getElementById('effectiveMtr').textContent = isFinite(combinedMtr) ? (combinedMtr*100).toFixed(2) + '%' : '—';
+  function workingValue(value, format){
+    if (format === 'pct') return percent(value);
+    if (format === 'number') return isFinite(value) ? parseFloat(value.toFixed(2)).toLocaleString() : '—';
+    return currency(value);
+  }
 
-    // Projections
-    runProjections({
-      salarySelf, salarySpouse, ownershipSelf, ownershipSpouse,
-      purchasePrice, deposit, upfrontCosts, interestRate, termYears, loanType,
-      annualRent, itemisedExpenses, depreciation, lmiCost, loanAmount,
-      agentPurchaseCost, totalSellingCosts,
-      medicareRate, brackets,
-      investDelayYears, pporExtraMonthly
+  /**
+   * "Show working" panels: each [data-working] element lists PropertyEngine.working() keys and shows
+   * the formula in words, then with this calculation's numbers substituted.
+   */
+  function renderWorking(res){
+    const workings = window.PropertyEngine.working(res);
+    document.querySelectorAll('[data-working]').forEach(el => {
+      const body = el.querySelector('.working-body');
+      if (!body) return;
+      body.innerHTML = el.dataset.working.split(' ').filter(key => workings[key]).map(key => {
+        const w = workings[key];
+        const expr = (part) => w.terms.map(t => (t.op ? ` ${t.op} ` : '') + part(t)).join('');
+        return `<div class="working-step"><div class="working-title">${w.title}</div>` +
+          `<div>${expr(t => t.label)}</div>` +
+          `<div class="working-numbers">${expr(t => workingValue(t.value, t.format))} = <strong>${workingValue(w.result, w.format)}</strong></div></div>`;
+      }).join('');
     });
   }
 
-  function runProjections(ctx){
-    const appreciationPct = Math.max(-1, readNumber('appreciationPct')/100);
-    const horizonYears = Math.max(1, Math.floor(readNumber('horizonYears')));
-    const altReturn = Math.max(0, readNumber('altReturnPct')/100);
-    const pporValueStart = Math.max(0, readNumber('pporValue'));
-    const pporBalanceStart = Math.max(0, readNumber('pporBalance'));
-    const pporRate = Math.max(0, readNumber('pporRate'));
-    const pporTermYears = Math.max(1, Math.floor(readNumber('pporTermYears')));
-    
-    // PPOR appreciation rate (user can override, defaults to Sydney rate)
-    const pporAppreciationPct = Math.max(-1, readNumber('pporAppreciationPct')/100);
-    
-    // No explicit monthly surplus. We'll derive extra PPOR repayments for the No-Invest scenario from the IP monthly OOP before tax.
-
-    // Setup investment loan, but allow delaying start until investDelayYears
-    let balance = 0;
-    let monthlyRate = (ctx.interestRate/100)/12;
-    let monthlyPmt = 0;
-
-    let propertyValue = ctx.purchasePrice;
-    // Baseline: apply lump-sum to PPOR immediately; only the deposit is redirected in No-Invest
-    const lumpSum = Math.max(0, (ctx.deposit||0));
-    let pporBalanceNoInvest = Math.max(0, pporBalanceStart - lumpSum);
-    const pporMonthlyRate = (pporRate/100)/12;
-    const pporMonthlyPmt = annuityMonthlyPayment(pporBalanceNoInvest, pporRate, pporTermYears);
-
-    // Invest path: assume no lump sum to PPOR at start; surplus equals the investment after-tax out-of-pocket (user requested same surplus as extra amount for IP)
-    let pporBalanceInvest = pporBalanceStart;
-    const pporMonthlyPmtInvest = annuityMonthlyPayment(pporBalanceInvest, pporRate, pporTermYears);
-
-    const years = [];
-    let cumulativeAfterTax = 0;
-
-    let pporValueInvest = pporValueStart;
-    let pporValueNoInvest = pporValueStart;
-    for (let y=1; y<=horizonYears; y++){
-      // Annual loop (approximate by 12 monthly steps)
-      let interestYear = 0;
-      let principalYear = 0;
-      for (let m=0; m<12; m++){
-        // Activate investment from the month we cross investDelayYears
-        if (balance <= 0 && y > ctx.investDelayYears) {
-          balance = ctx.loanAmount;
-          monthlyRate = (ctx.interestRate/100)/12;
-          monthlyPmt = (ctx.loanType === 'IO') ? balance * monthlyRate : annuityMonthlyPayment(balance, ctx.interestRate, ctx.termYears);
-        }
-        const investmentActive = balance > 0;
-        const interest = balance * monthlyRate;
-        const principal = Math.max(0, monthlyPmt - interest);
-        interestYear += interest;
-        principalYear += (ctx.loanType === 'IO') ? 0 : principal;
-        balance = Math.max(0, balance - principal);
-        // Defer PPOR (No Invest) amortization to after we compute monthly extra from IP OOP
-      }
-      // Update values (investment property uses selected city rate, PPOR uses Sydney rate)
-      propertyValue = propertyValue * (1 + appreciationPct);
-      pporValueInvest = pporValueInvest * (1 + pporAppreciationPct);
-      pporValueNoInvest = pporValueNoInvest * (1 + pporAppreciationPct);
-
-      // Annual rent growth not modeled (keep constant); expenses constant
-      const rentThisYear = (y > ctx.investDelayYears) ? ctx.annualRent : 0;
-      const expensesThisYear = (y > ctx.investDelayYears) ? ctx.itemisedExpenses : 0;
-      const depreciationThisYear = (y > ctx.investDelayYears) ? ctx.depreciation : 0;
-      const preDep = rentThisYear - expensesThisYear - interestYear;
-      const taxable = preDep - depreciationThisYear;
-
-      // Person-level savings each year using constant individual MTRs
-      const mtrSelf = marginalRateForIncome(ctx.salarySelf, ctx.brackets) + ctx.medicareRate;
-      const mtrSpouse = marginalRateForIncome(ctx.salarySpouse, ctx.brackets) + ctx.medicareRate;
-      const taxSavings = (taxable < 0) ? (-(taxable*ctx.ownershipSelf) * mtrSelf + -(taxable*ctx.ownershipSpouse) * mtrSpouse) : 0;
-      const afterTaxCashflow = (rentThisYear - expensesThisYear - interestYear - principalYear) + taxSavings;
-      const beforeTaxOOPAnnual = (expensesThisYear + interestYear + principalYear) - rentThisYear;
-      const beforeTaxOOPMonthly = Math.max(0, beforeTaxOOPAnnual / 12);
-      cumulativeAfterTax += afterTaxCashflow;
-
-      // Equity = value - balance
-      const equity = Math.max(0, propertyValue - balance);
-
-      // Invest PPOR: scheduled repayments plus user extra
-      const monthlyAdj = Math.max(0, ctx.pporExtraMonthly || 0);
-      for (let m=0; m<12; m++){
-        if (pporBalanceInvest <= 1e-6) break;
-        const interestI = pporBalanceInvest * pporMonthlyRate;
-        let principalI = Math.max(0, pporMonthlyPmtInvest - interestI);
-        let extraI = monthlyAdj;
-        const totalPrincipalI = Math.min(pporBalanceInvest, principalI + extraI);
-        pporBalanceInvest = Math.max(0, pporBalanceInvest - totalPrincipalI);
-      }
-
-      // Now apply No-Invest: scheduled + user extra + (if investment active) extra equal to IP monthly OOP before tax
-      for (let m=0; m<12; m++){
-        if (pporBalanceNoInvest <= 1e-6) break;
-        const interestNI2 = pporBalanceNoInvest * pporMonthlyRate;
-        let principalNI2 = Math.max(0, pporMonthlyPmt - interestNI2);
-        let extraNI2 = Math.max(0, ctx.pporExtraMonthly || 0) + ((y > ctx.investDelayYears) ? beforeTaxOOPMonthly : 0);
-        const totalPrincipalNI2 = Math.min(pporBalanceNoInvest, principalNI2 + extraNI2);
-        pporBalanceNoInvest = Math.max(0, pporBalanceNoInvest - totalPrincipalNI2);
-      }
+  function renderDepreciationSummary(schedule, yearsHeld){
+    const el = document.getElementById('depreciationSummary');
+    if (!el) return;
+    const held = schedule.years.slice(0, yearsHeld);
+    const sum = (key) => held.reduce((total, d) => total + d[key], 0);
+    const rows = [1, 5, 10, 20].filter(n => n <= held.length)
+      .map(n => [`Year ${n} held`, `${currency(held[n-1].total)} (plant ${currency(held[n-1].div40)}, capital works ${currency(held[n-1].div43)})`]);
+    rows.push(['Plant (Division 40) over the holding period', currency(sum('div40'))]);
+    rows.push(['Capital works (Division 43) over the holding period', currency(sum('div43'))]);
+    if (!schedule.plantAllowed) rows.push(['Plant', 'Not deductible: established property']);
+    el.innerHTML = rows.map(([label, value]) => `<div><span>${label}</span><span>${value}</span></div>`).join('');
+  }
 
-      // Net worths include PPOR equity (value - debt) and investment equity; we ignore liquid cash aside from cumulative savings if positive in invest path
-      // For investment property, subtract selling costs from the final value
-      const investmentEquity = Math.max(0, propertyValue - balance);
-      const finalInvestmentValue = (y === horizonYears) ? Math.max(0, propertyValue - ctx.totalSellingCosts) : propertyValue;
-      const finalInvestmentEquity = (y === horizonYears) ? Math.max(0, finalInvestmentValue - balance) : investmentEquity;
-      
-      const investNetWorth = finalInvestmentEquity + Math.max(0, pporValueInvest - pporBalanceInvest) + Math.max(0, cumulativeAfterTax);
-      const noInvestNetWorth = Math.max(0, pporValueNoInvest - pporBalanceNoInvest);
+  function renderUpfrontBreakdown(upfront, manualTotal){
+    const el = document.getElementById('upfrontBreakdown');
+    if (!el) return;
+    const rows = [
+      [`Transfer duty (${upfront.state})`, upfront.duty],
+      ['Foreign purchaser surcharge', upfront.foreignSurcharge],
+      ['Mortgage registration', upfront.mortgageRegistration],
+      ['Transfer fee', upfront.transferFee],
+      ['Conveyancing', upfront.conveyancing],
+    ];
+    el.innerHTML = rows.map(([label, amt]) => `<div><span>${label}</span><span>${currency(amt)}</span></div>`).join('') +
+      (manualTotal !== null ? `<div class="note"><span>Manual entry used instead of calculated ${currency(upfront.total)}</span></div>` : '');
+  }
 
-      years.push({ y, balance, propertyValue, equity, interestYear, principalYear, afterTaxCashflow, cumulativeAfterTax, investNetWorth, noInvestNetWorth, pporBalanceInvest, pporBalanceNoInvest, pporValueInvest, pporValueNoInvest });
-    }
+  // Projection settings read from the form; part of readInputs()
+  function readProjectionSettings(){
+    const altReturn = Math.max(0, readNumber('altReturnPct')/100);
+    return {
+      appreciationPct: Math.max(-1, readNumber('appreciationPct')/100),
+      horizonYears: Math.max(1, Math.floor(readNumber('horizonYears'))),
+      altReturn,
+      pporValueStart: Math.max(0, readNumber('pporValue')),
+      pporBalanceStart: Math.max(0, readNumber('pporBalance')),
+      pporRate: Math.max(0, readNumber('pporRate')),
+      pporTermYears: Math.max(1, Math.floor(readNumber('pporTermYears'))),
+      // PPOR appreciation rate (user can override, defaults to Sydney rate)
+      pporAppreciationPct: Math.max(-1, readNumber('pporAppreciationPct')/100),
+      // Indexation: rent and salaries grow at their own rates; council/water/insurance at CPI;
+      // maintenance follows property value (or CPI/flat); PM fee follows rent
+      rentGrowth: readNumber('rentGrowthPct')/100,
+      cpiGrowth: readNumber('cpiPct')/100,
+      salaryGrowthSelf: readNumber('salaryGrowthSelfPct')/100,
+      salaryGrowthSpouse: readNumber('salaryGrowthSpousePct')/100,
+      maintenanceIndex: (document.getElementById('maintenanceIndex') || {}).value || 'value',
+      // Shares/ETF alternative: altReturn is total return, split into dividend yield (partly franked) and growth
+      altDividendYield: Math.min(altReturn, Math.max(0, readNumber('altDividendYieldPct')/100)),
+      altFrankedPct: Math.min(1, Math.max(0, readNumber('altFrankedPct')/100)),
+      // Variable rate path for both loans, plus stress-test settings
+      rateSchedule: buildRateScheduleFromTable(),
+      events: buildEventsFromTable(),
+      bufferPct: Math.max(0, readNumber('serviceBufferPct')),
+      livingExpensesMonthly: Math.max(0, readNumber('livingExpensesMonthly')),
+      pporOffsetOpening: Math.max(0, readNumber('pporOffsetOpening')),
+      pporOffsetMonthly: Math.max(0, readNumber('pporOffsetMonthly'))
+    };
+  }
 
+  function renderProjections(ctx, result){
+    const { years, sale, sharesCgt, worstServiceSurplus, peakDebt, redrawAmount, lumpSum, events } = result;
+    const { bufferPct, pporOffsetOpening } = ctx;
     // Final net worth diff
     const last = years[years.length-1];
     const investNetWorth = last.investNetWorth;
@@ -404,127 +474,372 @@
     const finalDiff = investNetWorth - baselineNetWorth;
 
     document.getElementById('finalNetWorth').textContent = `${currency(investNetWorth)} (Δ ${currency(finalDiff)})`;
+    document.getElementById('finalNetWorthShares').textContent = `${currency(last.sharesNetWorth)} (Invest Δ ${currency(investNetWorth - last.sharesNetWorth)})`;
+    const sharesCgtEl = document.getElementById('sharesCgt');
+    if (sharesCgtEl) sharesCgtEl.textContent = sharesCgt ? `Includes CGT on exit of ${currency(sharesCgt.cgt)} on a ${currency(sharesCgt.grossGain)} gain.` : 'Portfolio not started before horizon.';
+    renderSaleSummary(sale, ctx.horizonYears);
+    renderEventWarnings(events);
+    renderPortfolioBreakdown(result.portfolio, result.portfolio.length ? { last, peakDebt } : null);
+    renderStressResults(years.filter(p => p.y > ctx.investDelayYears), worstServiceSurplus, bufferPct);
 
-    drawChart(document.getElementById('cashflowChart'), years.map(p=>({x:p.y, y:p.afterTaxCashflow})), { zeroLine: true, color: '#18a34a' });
-    drawMultiChart(document.getElementById('networthChart'), [
-      { name:'Invest', points: years.map(p=>({x:p.y, y:p.investNetWorth})), color:'#2f71ff' },
-      { name:'No Invest', points: years.map(p=>({x:p.y, y:p.noInvestNetWorth})), color:'#9aa4b2' }
-    ], { zeroLine: false });
+    const reversion = years.find(p => p.ioRevertsThisYear);
+    window.Charts.lineChart(document.getElementById('cashflowChart'), {
+      series: [{ name: 'After-tax cashflow', points: years.map(p=>({x:p.y, y:p.afterTaxCashflow})), color: '#18a34a' }],
+      zeroLine: true, xLabel: 'Year', formatValue: currency,
+      markers: (reversion ? [{ x: reversion.y, label: 'IO → P&I' }] : []).concat(eventMarkers(years)),
+      crossing: { a: 'After-tax cashflow', b: 0, label: 'Cashflow positive' }
+    });
+    drawNetworthChart(years, renderSimulation(ctx));
 
-    // Render tables: Invest and No Invest side-by-side
+    // Render tables: Invest, No Invest and Shares/ETF side-by-side
     const tbodyInvest = document.querySelector('#networthTableInvest tbody');
     const tbodyNoInvest = document.querySelector('#networthTableNoInvest tbody');
+    const tbodyShares = document.querySelector('#networthTableShares tbody');
     if (tbodyInvest) tbodyInvest.innerHTML = '';
     if (tbodyNoInvest) tbodyNoInvest.innerHTML = '';
+    if (tbodyShares) tbodyShares.innerHTML = '';
 
-    // Year 0 row (current state) - include agent purchase cost
-    const totalInitialCosts = ctx.agentPurchaseCost || 0;
+    // Year 0 row (current state) - include agent purchase cost and upfront (duty/fees) costs
+    const totalInitialCosts = (ctx.agentPurchaseCost || 0) + (ctx.upfrontCosts || 0);
+    const offsets0 = pporOffsetOpening + (ctx.ipOffsetOpening || 0);
+    const pporBalance0Invest = readNumber('pporBalance') + redrawAmount;
+    const pporBalance0NoInvest = Math.max(0, readNumber('pporBalance') - lumpSum);
     const year0Invest = {
       y: 0,
-      investNetWorth: Math.max(0, ctx.purchasePrice - ctx.loanAmount - totalInitialCosts) + Math.max(0, readNumber('pporValue') - readNumber('pporBalance')),
+      investNetWorth: Math.max(0, ctx.purchasePrice - ctx.loanAmount - totalInitialCosts) + Math.max(0, readNumber('pporValue') - pporBalance0Invest) + offsets0,
       propertyValue: ctx.purchasePrice,
       balance: ctx.loanAmount,
       pporValueInvest: readNumber('pporValue'),
-      pporBalanceInvest: readNumber('pporBalance')
+      pporBalanceInvest: pporBalance0Invest
     };
     const year0NoInvest = {
       y: 0,
-      noInvestNetWorth: Math.max(0, readNumber('pporValue') - Math.max(0, readNumber('pporBalance') - Math.max(0, (ctx.deposit||0))))
+      noInvestNetWorth: Math.max(0, readNumber('pporValue') - pporBalance0NoInvest) + offsets0
     };
 
     if (tbodyInvest){
       const tr0 = document.createElement('tr');
-      tr0.innerHTML = `<td>0</td><td>${currency(Math.round(year0Invest.investNetWorth))}</td><td>${currency(Math.round(year0Invest.propertyValue))}</td><td>${currency(Math.round(year0Invest.balance))}</td><td>${currency(Math.round(year0Invest.pporValueInvest))}</td><td>${currency(Math.round(year0Invest.pporBalanceInvest))}</td>`;
+      tr0.innerHTML = `<td>0</td><td>${currency(Math.round(year0Invest.investNetWorth))}</td><td>${currency(Math.round(year0Invest.propertyValue))}</td><td>${currency(Math.round(year0Invest.balance))}</td><td>—</td><td>${currency(Math.round(year0Invest.pporValueInvest))}</td><td>${currency(Math.round(year0Invest.pporBalanceInvest))}</td><td>${currency(Math.round(offsets0))}</td>`;
       tbodyInvest.appendChild(tr0);
     }
     if (tbodyNoInvest){
       const tr0n = document.createElement('tr');
-      tr0n.innerHTML = `<td>0</td><td>${currency(Math.round(year0NoInvest.noInvestNetWorth))}</td><td>${currency(Math.round(readNumber('pporValue')))}</td><td>${currency(Math.round(Math.max(0, readNumber('pporBalance') - Math.max(0, (ctx.deposit||0)))))}</td>`;
+      tr0n.innerHTML = `<td>0</td><td>${currency(Math.round(year0NoInvest.noInvestNetWorth))}</td><td>${currency(Math.round(readNumber('pporValue')))}</td><td>${currency(Math.round(pporBalance0NoInvest))}</td><td>${currency(Math.round(offsets0))}</td>`;
       tbodyNoInvest.appendChild(tr0n);
     }
+    if (tbodyShares){
+      // Year 0: deposit held as cash, about to be invested
+      const tr0s = document.createElement('tr');
+      const deposit0 = Math.max(0, ctx.deposit || 0);
+      tr0s.innerHTML = `<td>0</td><td>${currency(Math.round(deposit0 + Math.max(0, readNumber('pporValue') - readNumber('pporBalance')) + offsets0))}</td><td>${currency(Math.round(deposit0))}</td><td>${currency(Math.round(deposit0))}</td><td>${currency(Math.round(readNumber('pporValue')))}</td><td>${currency(Math.round(readNumber('pporBalance')))}</td>`;
+      tbodyShares.appendChild(tr0s);
+    }
 
     years.forEach(row => {
       if (tbodyInvest){
         const tr = document.createElement('tr');
-        tr.innerHTML = `<td>${row.y}</td><td>${currency(Math.round(row.investNetWorth))}</td><td>${currency(Math.round(row.propertyValue))}</td><td>${currency(Math.round(row.balance))}</td><td>${currency(Math.round(row.pporValueInvest))}</td><td>${currency(Math.round(row.pporBalanceInvest))}</td>`;
+        tr.innerHTML = `<td>${row.y}</td><td>${currency(Math.round(row.investNetWorth))}</td><td>${currency(Math.round(row.propertyValue))}</td><td>${currency(Math.round(row.balance))}</td><td>${currency(Math.round(row.interestYear + row.principalYear))}${row.ioRevertsThisYear ? ' <span class="tag">IO → P&amp;I</span>' : ''}</td><td>${currency(Math.round(row.pporValueInvest))}</td><td>${currency(Math.round(row.pporBalanceInvest))}</td><td>${currency(Math.round(row.offsetsInvest))}</td>`;
         tbodyInvest.appendChild(tr);
+        row.events.forEach(e => {
+          const tre = document.createElement('tr');
+          tre.className = 'event-row';
+          tre.innerHTML = `<td></td><td colspan="7">${describeEvent(e)}</td>`;
+          tbodyInvest.appendChild(tre);
+        });
       }
       if (tbodyNoInvest){
         const trn = document.createElement('tr');
-        trn.innerHTML = `<td>${row.y}</td><td>${currency(Math.round(row.noInvestNetWorth))}</td><td>${currency(Math.round(row.pporValueNoInvest))}</td><td>${currency(Math.round(row.pporBalanceNoInvest))}</td>`;
+        trn.innerHTML = `<td>${row.y}</td><td>${currency(Math.round(row.noInvestNetWorth))}</td><td>${currency(Math.round(row.pporValueNoInvest))}</td><td>${currency(Math.round(row.pporBalanceNoInvest))}</td><td>${currency(Math.round(row.pporOffsetNoInvest))}</td>`;
         tbodyNoInvest.appendChild(trn);
       }
+      if (tbodyShares){
+        const trs = document.createElement('tr');
+        trs.innerHTML = `<td>${row.y}</td><td>${currency(Math.round(row.sharesNetWorth))}</td><td>${currency(Math.round(row.sharesValue))}</td><td>${currency(Math.round(row.sharesCostBase))}</td><td>${currency(Math.round(row.pporValueInvest))}</td><td>${currency(Math.round(row.pporBalanceShares))}</td>`;
+        tbodyShares.appendChild(trs);
+      }
     });
   }
 
-  function scalePoints(points, width, height, padding){
-    const xs = points.map(p=>p.x);
-    const ys = points.map(p=>p.y);
-    const minX = Math.min(...xs, 0);
-    const maxX = Math.max(...xs, 1);
-    const minY = Math.min(...ys, 0);
-    const maxY = Math.max(...ys, 1);
-    const sx = (x)=> padding + (x - minX) * (width - 2*padding) / (maxX - minX || 1);
-    const sy = (y)=> (height - padding) - (y - minY) * (height - 2*padding) / (maxY - minY || 1);
-    return { sx, sy, minX, maxX, minY, maxY };
+  // One chart marker per year with events
+  function eventMarkers(years){
+    return years.filter(p => p.events.length).map(p => ({ x: p.y, label: p.events.map(e => eventTypes[e.type].marker).join(' + ') }));
   }
 
-  function drawChart(svgEl, points, opts){
-    if (!svgEl) return;
-    const width = 600, height = 240, pad = 32;
-    svgEl.innerHTML = '';
-    const { sx, sy, minY, maxY } = scalePoints(points, width, height, pad);
-    // axes
-    const axis = document.createElementNS('http://www.w3.org/2000/svg','path');
-    axis.setAttribute('d', `M ${pad} ${pad} V ${height-pad} H ${width-pad}`);
-    axis.setAttribute('stroke', '#273244'); axis.setAttribute('fill', 'none');
-    svgEl.appendChild(axis);
-    // zero line
-    if (opts.zeroLine){
-      const zy = sy(0);
-      const zero = document.createElementNS('http://www.w3.org/2000/svg','line');
-      zero.setAttribute('x1', pad); zero.setAttribute('x2', width-pad);
-      zero.setAttribute('y1', zy); zero.setAttribute('y2', zy);
-      zero.setAttribute('stroke', '#39465f'); zero.setAttribute('stroke-dasharray', '4 4');
-      svgEl.appendChild(zero);
-    }
-    // path
-    const d = points.map((p,i)=> `${i?'L':'M'} ${sx(p.x)} ${sy(p.y)}`).join(' ');
-    const path = document.createElementNS('http://www.w3.org/2000/svg','path');
-    path.setAttribute('d', d);
-    path.setAttribute('stroke', opts.color || '#18a34a');
-    path.setAttribute('fill', 'none');
-    path.setAttribute('stroke-width', '2');
-    svgEl.appendChild(path);
-  }
-
-  function drawMultiChart(svgEl, series, opts){
-    if (!svgEl) return;
-    const width = 600, height = 240, pad = 32;
-    svgEl.innerHTML = '';
-    const allPoints = series.flatMap(s=>s.points);
-    const { sx, sy } = scalePoints(allPoints, width, height, pad);
-    const axis = document.createElementNS('http://www.w3.org/2000/svg','path');
-    axis.setAttribute('d', `M ${pad} ${pad} V ${height-pad} H ${width-pad}`);
-    axis.setAttribute('stroke', '#273244'); axis.setAttribute('fill', 'none');
-    svgEl.appendChild(axis);
-    series.forEach(s => {
-      const d = s.points.map((p,i)=> `${i?'L':'M'} ${sx(p.x)} ${sy(p.y)}`).join(' ');
-      const path = document.createElementNS('http://www.w3.org/2000/svg','path');
-      path.setAttribute('d', d);
-      path.setAttribute('stroke', s.color || '#18a34a');
-      path.setAttribute('fill', 'none');
-      path.setAttribute('stroke-width', '2');
-      svgEl.appendChild(path);
+  // What an applied event did, for the year-by-year tables
+  function describeEvent(e){
+    switch (e.type){
+      case 'refinance': return `Refinanced at ${e.rate.toFixed(2)}% over ${e.termYears} years: repayments ${currency2(e.repayment)}/month`;
+      case 'cashOut': return `Cash-out to ${e.lvrPct}% LVR: ${currency(e.released)} released to the PPOR loan`;
+      case 'lumpSum': return `Lump-sum repayment of ${currency(e.paid)}: repayments ${currency2(e.repayment)}/month`;
+      case 'convertPpor': return `PPOR rented out at ${currency(e.weeklyRent)}/week (today's dollars)`;
+      case 'sell': return `Investment property sold for ${currency(e.salePrice)}: ${currency(e.proceedsAfterTax)} after the loan and ${currency(e.cgt)} CGT`;
+      default: return eventTypes[e.type].name;
+    }
+  }
+
+  function renderEventWarnings(events){
+    const el = document.getElementById('eventsWarning');
+    if (!el) return;
+    const skipped = events.filter(e => !e.applied);
+    el.innerHTML = skipped.map(e => `<p>Year ${e.year}, ${eventTypes[e.type].name}: skipped because ${e.note}.</p>`).join('');
+    el.style.display = skipped.length ? '' : 'none';
+  }
+
+  function renderPortfolioVisibility(portfolioMode){
+    const section = document.getElementById('portfolioSection');
+    if (section) section.style.display = portfolioMode ? '' : 'none';
+    if (portfolioMode && !document.querySelector('#portfolioTable tbody tr')) addPropertyRow(defaultPortfolioProperty);
+  }
+
+  function renderPortfolioBreakdown(rows, totals){
+    const block = document.getElementById('portfolioBreakdownBlock');
+    const summaryBlock = document.getElementById('portfolioSummaryBlock');
+    if (block) block.style.display = totals ? '' : 'none';
+    if (summaryBlock) summaryBlock.style.display = totals ? '' : 'none';
+    if (!totals) return;
+    const tbody = document.querySelector('#portfolioBreakdownTable tbody');
+    if (tbody){
+      tbody.innerHTML = rows.map(r => r.boughtYear === null
+        ? `<tr><td>${escapeHtml(r.name)}</td><td colspan="10">Not bought within the horizon</td></tr>`
+        : `<tr><td>${escapeHtml(r.name)}</td><td>${r.boughtYear}</td><td>${currency(r.price)}</td><td>${currency(r.loanAmount)}</td><td>${currency(r.cashUsed)} / ${currency(r.equityUsed)}</td><td>${currency(r.released)}</td><td>${currency(r.rentTotal)}</td><td>${currency(r.taxableTotal)}</td><td>${currency(r.value)}</td><td>${currency(r.debt)}</td><td>${currency(r.proceedsAfterTax)}</td></tr>`
+      ).join('');
+    }
+    document.getElementById('portfolioTotalDebt').textContent = `${currency(totals.last.balance)} debt at horizon (peak ${currency(totals.peakDebt.debt)} in year ${totals.peakDebt.y})`;
+    const summary = [
+      ['Properties bought', rows.filter(r => r.boughtYear !== null).length],
+      ['Combined property value at horizon', currency(totals.last.propertyValue)],
+      ['Combined taxable result (final year)', currency(totals.last.taxable)],
+      ['Equity released for deposits', currency(rows.reduce((sum, r) => sum + r.released, 0))],
+      ['Cash used for deposits and costs', currency(rows.reduce((sum, r) => sum + r.cashUsed, 0))],
+    ];
+    document.getElementById('portfolioSummary').innerHTML = summary.map(([label, v]) => `<div><span>${label}</span><span>${v}</span></div>`).join('');
+  }
+
+  function renderStressResults(activeYears, worstService, bufferPct){
+    const peakEl = document.getElementById('stressPeakOop');
+    const worstEl = document.getElementById('stressWorstYear');
+    const serviceEl = document.getElementById('stressServiceable');
+    if (!peakEl || !worstEl || !serviceEl) return;
+    if (!activeYears.length){
+      peakEl.textContent = worstEl.textContent = serviceEl.textContent = '—';
+      return;
+    }
+    const peak = activeYears.reduce((a, b) => (b.beforeTaxOOPAnnual > a.beforeTaxOOPAnnual ? b : a));
+    const worst = activeYears.reduce((a, b) => (b.afterTaxCashflow < a.afterTaxCashflow ? b : a));
+    peakEl.textContent = `${currency2(peak.beforeTaxOOPAnnual/12)} (year ${peak.y}, ${peak.ipRateYear.toFixed(2)}%)`;
+    worstEl.textContent = `${currency(worst.afterTaxCashflow)} (year ${worst.y})`;
+    const ok = worstService.surplusMonthly >= 0;
+    serviceEl.textContent = `${ok ? 'Serviceable' : 'Shortfall'}: ${currency(worstService.surplusMonthly)}/month at +${bufferPct.toFixed(1)}% (tightest year ${worstService.y})`;
+    serviceEl.classList.toggle('warn', !ok);
+  }
+
+  function readSimulationOptions(){
+    return {
+      runs: Math.min(20000, Math.max(100, Math.floor(readNumber('mcRuns')))),
+      seed: Math.max(0, Math.floor(readNumber('mcSeed'))),
+      growthMeanPct: readNumber('mcGrowthMeanPct'),
+      growthVolPct: Math.max(0, readNumber('mcGrowthVolPct')),
+      rateMeanPct: Math.max(0, readNumber('mcRateMeanPct')),
+      rateVolPct: Math.max(0, readNumber('mcRateVolPct')),
+      rateReversion: simulationRateReversion,
+      vacancyVolWeeks: Math.max(0, readNumber('mcVacancyVolWeeks'))
+    };
+  }
+
+  // A simulation result is only shown while the inputs it was run on are unchanged
+  function simulationKey(ctx, opts){
+    return JSON.stringify([ctx, opts]);
+  }
+
+  function runSimulation(){
+    if (!lastProjectionCtx || !window.MonteCarlo) return Promise.resolve();
+    const ctx = lastProjectionCtx;
+    const opts = readSimulationOptions();
+    const statusEl = document.getElementById('simulationStatus');
+    const btn = document.getElementById('runSimulationBtn');
+    const running = `Running ${opts.runs.toLocaleString()} projections…`;
+    statusEl.textContent = running;
+    btn.disabled = true;
+    return window.MonteCarlo.run(ctx, opts, window.PropertyEngine.source(), window.PropertyEngine.projectScenario, (done) => {
+      statusEl.textContent = `${running} ${Math.round(done*100)}%`;
+    }).then(result => {
+      lastSimulation = { key: simulationKey(ctx, opts), result };
+      btn.disabled = false;
+      if (lastResult) drawNetworthChart(lastResult.years, renderSimulation(lastProjectionCtx));
+    }).catch(err => {
+      btn.disabled = false;
+      statusEl.textContent = `Simulation failed: ${err.message}`;
     });
   }
 
+  /** Fills the simulation results; returns the result when it matches the current inputs, else null. */
+  function renderSimulation(ctx){
+    const statusEl = document.getElementById('simulationStatus');
+    const probEl = document.getElementById('simProbability');
+    const investEl = document.getElementById('simInvestRange');
+    const noInvestEl = document.getElementById('simNoInvestRange');
+    if (!statusEl || !probEl) return null;
+    const current = lastSimulation && lastSimulation.key === simulationKey(ctx, readSimulationOptions());
+    if (!current){
+      probEl.textContent = investEl.textContent = noInvestEl.textContent = '—';
+      if (lastSimulation && !document.getElementById('runSimulationBtn').disabled) {
+        statusEl.textContent = 'Inputs have changed since the last run. Run the simulation again to update the results.';
+      }
+      return null;
+    }
+    const sim = lastSimulation.result;
+    const range = (b) => `${currency(b.p10)} / ${currency(b.p50)} / ${currency(b.p90)}`;
+    probEl.textContent = `${(sim.probInvestWins*100).toFixed(1)}% of ${sim.runs.toLocaleString()} runs`;
+    investEl.textContent = range(sim.invest[sim.invest.length-1]);
+    noInvestEl.textContent = range(sim.noInvest[sim.noInvest.length-1]);
+    statusEl.textContent = `${sim.runs.toLocaleString()} runs, seed ${sim.seed}. Bands are shown on the net worth chart.`;
+    return sim;
+  }
+
+  // Net worth chart options, shared by the results chart and the printable report
+  function networthChartOptions(years, simulation){
+    const series = [
+      { name:'Invest', points: years.map(p=>({x:p.y, y:p.investNetWorth})), color:'#2f71ff' },
+      { name:'No Invest', points: years.map(p=>({x:p.y, y:p.noInvestNetWorth})), color:'#9aa4b2' },
+      { name:'Shares/ETF', points: years.map(p=>({x:p.y, y:p.sharesNetWorth})), color:'#f59e0b' }
+    ];
+    const bands = [];
+    if (simulation){
+      [['invest', 'Invest', '#2f71ff'], ['noInvest', 'No Invest', '#9aa4b2']].forEach(([key, name, color]) => {
+        const rows = simulation[key].map((b, i) => Object.assign({ x: years[i].y }, b));
+        bands.push({ name: `${name} 10th–90th`, lower: rows.map(r => ({ x: r.x, y: r.p10 })), upper: rows.map(r => ({ x: r.x, y: r.p90 })), color });
+        series.push({ name: `${name} median`, points: rows.map(r => ({ x: r.x, y: r.p50 })), color, dash: '5 4' });
+      });
+    }
+    return {
+      series, bands, xLabel: 'Year', formatValue: currency, markers: eventMarkers(years),
+      crossing: { a: 'Invest', b: 'No Invest', label: 'Break-even' }
+    };
+  }
+
+  function drawNetworthChart(years, simulation){
+    window.Charts.lineChart(document.getElementById('networthChart'), networthChartOptions(years, simulation));
+  }
+
+  /**
+   * Goal-seek targets. Each varies one form input (set() maps its value onto the engine inputs)
+   * between min and max; gap(result, target) must move one way as the input rises and is >= 0
+   * where the goal is met. Step is the solved value's precision.
+   */
+  const solverGoals = {
+    rentOopZero: {
+      input: 'weeklyRent', min: () => 0, max: () => 5000, step: 1,
+      set: (inputs, v) => { inputs.weeklyRent = v; },
+      gap: (r) => -r.oopAfterTax,
+      describe: (v) => `Weekly rent of ${currency(v)} makes the year-1 after-tax out-of-pocket cost nil.`
+    },
+    growthBeatsBaseline: {
+      input: 'appreciationPct', min: () => -10, max: () => 20, step: 0.01,
+      set: (inputs, v) => { inputs.appreciationPct = v/100; },
+      gap: (r) => { const last = r.years[r.years.length-1]; return last.investNetWorth - last.noInvestNetWorth; },
+      format: (v) => `${v.toFixed(2)}% p.a.`,
+      describe: (v) => `Investment property growth of ${v.toFixed(2)}% p.a. is the minimum for Invest to finish ahead of No Invest.`
+    },
+    maxPriceOop: {
+      input: 'purchasePrice', min: () => 50000, max: () => 5000000, step: 1000, usesTarget: true,
+      set: (inputs, v) => { inputs.purchasePrice = v; },
+      gap: (r, target) => target - r.oopAfterTax/12,
+      describe: (v, target) => `A purchase price of up to ${currency(v)} keeps the after-tax out-of-pocket cost under ${currency(target)}/month (deposit unchanged).`
+    },
+    minDepositOop: {
+      input: 'deposit', min: () => 0, max: (inputs) => inputs.purchasePrice, step: 1000, usesTarget: true,
+      set: (inputs, v) => { inputs.deposit = v; },
+      gap: (r, target) => target - r.oopAfterTax/12,
+      describe: (v, target) => `A deposit of at least ${currency(v)} keeps the after-tax out-of-pocket cost under ${currency(target)}/month.`
+    }
+  };
+
+  // Last solved value, waiting for the Apply button
+  let pendingSolution = null;
+
+  /**
+   * Binary search on one input, re-running PropertyEngine.calculate() on a copy of the form's inputs
+   * (the page is left untouched). Returns NaN when the goal is met at both ends of the range or at neither.
+   */
+  function solveGoal(goal, target){
+    const inputs = readInputs();
+    const gapAt = (v) => {
+      const trial = Object.assign({}, inputs);
+      goal.set(trial, v);
+      return goal.gap(window.PropertyEngine.calculate(trial), target);
+    };
+    let lo = goal.min(inputs);
+    let hi = goal.max(inputs);
+    let gapLo = gapAt(lo);
+    const gapHi = gapAt(hi);
+    if (!isFinite(gapLo) || !isFinite(gapHi) || (gapLo >= 0) === (gapHi >= 0)) return NaN;
+    for (let i = 0; i < 60 && hi - lo > goal.step / 2; i++){
+      const mid = (lo + hi) / 2;
+      const gapMid = gapAt(mid);
+      if ((gapMid >= 0) === (gapLo >= 0)) { lo = mid; gapLo = gapMid; } else { hi = mid; }
+    }
+    // Round towards the side where the goal is met
+    return (gapHi >= 0) ? Math.ceil(hi / goal.step - 1e-9) * goal.step : Math.floor(lo / goal.step + 1e-9) * goal.step;
+  }
+
+  function runSolver(){
+    const goal = solverGoals[document.getElementById('solverGoal').value];
+    const target = readNumber('solverTarget');
+    const valueEl = document.getElementById('solverResult');
+    const detailEl = document.getElementById('solverDetail');
+    const applyBtn = document.getElementById('applySolutionBtn');
+    if (!goal) return;
+    const value = solveGoal(goal, target);
+    if (!isFinite(value)){
+      pendingSolution = null;
+      valueEl.textContent = 'No solution';
+      detailEl.textContent = 'The goal is either met or missed across the whole search range, so there is no break-even point to find.';
+    } else {
+      // Values are rounded to the goal's step; toFixed trims floating-point noise (e.g. 3.0700000001)
+      pendingSolution = { input: goal.input, value: parseFloat(value.toFixed(2)) };
+      valueEl.textContent = goal.format ? goal.format(value) : currency(value);
+      detailEl.textContent = goal.describe(value, target);
+    }
+    applyBtn.style.display = pendingSolution ? '' : 'none';
+  }
+
+  function applySolution(){
+    if (!pendingSolution) return;
+    document.getElementById(pendingSolution.input).value = pendingSolution.value;
+    pendingSolution = null;
+    document.getElementById('applySolutionBtn').style.display = 'none';
+    recalc();
+  }
+
+  function renderSaleSummary(sale, horizonYears){
+    const valueEl = document.getElementById('afterTaxSaleProceeds');
+    const el = document.getElementById('saleBreakdown');
+    if (!valueEl || !el) return;
+    if (!sale){
+      valueEl.textContent = '—';
+      el.innerHTML = '<div><span>Property not held at horizon</span></div>';
+      return;
+    }
+    valueEl.textContent = currency(sale.proceedsAfterTax) + (sale.year < horizonYears ? ` (sold in year ${sale.year})` : '');
+    const rows = [
+      ['Sale price', sale.salePrice],
+      ['Selling costs', -sale.sellingCosts],
+      ['Loan repaid', -sale.loanRepaid],
+      ['Cost base (less Division 43 claimed)', sale.costBase],
+      ['Capital gain', sale.grossGain],
+      [`Taxable gain (${(sale.discountPct*100).toFixed(0)}% discount)`, sale.netGain],
+      ['CGT (me)', -sale.cgtSelf],
+      ['CGT (spouse)', -sale.cgtSpouse],
+    ];
+    el.innerHTML = rows.map(([label, amt]) => `<div><span>${label}</span><span>${currency(amt)}</span></div>`).join('');
+  }
+
   function addTaxBracketRow(threshold, ratePct){
     const tbody = document.querySelector('#taxBracketsTable tbody');
     const tr = document.createElement('tr');
     tr.innerHTML = `
-      <td><input class="tb-threshold" type="number" min="0" step="1000" value="${threshold}"></td>
-      <td><input class="tb-rate" type="number" min="0" step="0.1" value="${ratePct}"></td>
+      <td><input class="tb-threshold" type="number" min="0" step="1000" value="${escapeHtml(threshold)}"></td>
+      <td><input class="tb-rate" type="number" min="0" step="0.1" value="${escapeHtml(ratePct)}"></td>
     `;
     tbody.appendChild(tr);
     tr.querySelectorAll('input').forEach(inp => inp.addEventListener('input', recalc));
@@ -534,37 +849,1194 @@
     const tbody = document.querySelector('#lmiTable tbody');
     const tr = document.createElement('tr');
     tr.innerHTML = `
-      <td><input class="lmi-min" type="number" min="0" max="100" step="0.1" value="${min}"></td>
-      <td><input class="lmi-max" type="number" min="0" max="100" step="0.1" value="${max}"></td>
-      <td><input class="lmi-pct" type="number" min="0" max="20" step="0.01" value="${(pct*100).toFixed(2)}"></td>
+      <td><input class="lmi-min" type="number" min="0" max="100" step="0.1" value="${escapeHtml(min)}"></td>
+      <td><input class="lmi-max" type="number" min="0" max="100" step="0.1" value="${escapeHtml(max)}"></td>
+      <td><input class="lmi-pct" type="number" min="0" max="20" step="0.01" value="${escapeHtml((pct*100).toFixed(2))}"></td>
+    `;
+    tbody.appendChild(tr);
+    tr.querySelectorAll('input').forEach(inp => inp.addEventListener('input', recalc));
+  }
+
+  function addRateScheduleRow(year, ipRate, pporRate){
+    const tbody = document.querySelector('#rateScheduleTable tbody');
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input class="rs-year" type="number" min="1" max="60" step="1" value="${escapeHtml(year)}"></td>
+      <td><input class="rs-ip" type="number" min="0" step="0.01" value="${escapeHtml(ipRate)}"></td>
+      <td><input class="rs-ppor" type="number" min="0" step="0.01" value="${escapeHtml(pporRate)}"></td>
+    `;
+    tbody.appendChild(tr);
+    tr.querySelectorAll('input').forEach(inp => inp.addEventListener('input', recalc));
+  }
+
+  function addEventRow(e){
+    const tbody = document.querySelector('#eventsTable tbody');
+    const tr = document.createElement('tr');
+    // An unknown type shows as the first type with that type's defaults
+    const known = eventTypes.hasOwnProperty(e.type);
+    const typeOptions = Object.keys(eventTypes).map(t => `<option value="${t}"${t === e.type ? ' selected' : ''}>${eventTypes[t].name}</option>`).join('');
+    tr.innerHTML = `
+      <td><input class="ev-year" type="number" min="1" max="60" step="1" value="${escapeHtml(e.year)}"></td>
+      <td><select class="ev-type">${typeOptions}</select></td>
+      <td class="ev-details"></td>
+      <td><button class="btn ev-remove" type="button">Remove</button></td>
+    `;
+    // The details cell holds the chosen type's fields; changing the type resets them to its defaults
+    const renderFields = (values) => {
+      const cell = tr.querySelector('.ev-details');
+      const fields = eventTypes[tr.querySelector('.ev-type').value].fields;
+      cell.innerHTML = fields.length ? fields.map(([name, label, value, step]) =>
+        `<label class="ev-label">${label} <input class="ev-field" data-field="${name}" type="number" min="0" step="${step}" value="${escapeHtml(name in values ? values[name] : value)}"></label>`).join('')
+        : '<span class="help">At the end of the year</span>';
+      cell.querySelectorAll('input').forEach(inp => inp.addEventListener('input', recalc));
+    };
+    tbody.appendChild(tr);
+    renderFields(known ? e : {});
+    tr.querySelector('.ev-year').addEventListener('input', recalc);
+    tr.querySelector('.ev-type').addEventListener('change', () => {
+      renderFields({});
+      recalc();
+    });
+    tr.querySelector('.ev-remove').addEventListener('click', () => {
+      tr.remove();
+      recalc();
+    });
+  }
+
+  function addPlantAssetRow(a){
+    const tbody = document.querySelector('#plantTable tbody');
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input class="pa-name" type="text" value="${escapeHtml(a.name)}"></td>
+      <td><input class="pa-cost" type="number" min="0" step="100" value="${escapeHtml(a.cost)}"></td>
+      <td><input class="pa-life" type="number" min="1" max="100" step="1" value="${escapeHtml(a.life)}"></td>
+      <td><select class="pa-method"><option value="dv"${a.method === 'pc' ? '' : ' selected'}>Diminishing value</option><option value="pc"${a.method === 'pc' ? ' selected' : ''}>Prime cost</option></select></td>
+      <td><button class="btn pa-remove" type="button">Remove</button></td>
+    `;
+    tbody.appendChild(tr);
+    tr.querySelectorAll('input').forEach(inp => inp.addEventListener('input', recalc));
+    tr.querySelector('select').addEventListener('change', recalc);
+    tr.querySelector('.pa-remove').addEventListener('click', () => {
+      tr.remove();
+      recalc();
+    });
+  }
+
+  function addPropertyRow(p){
+    const tbody = document.querySelector('#portfolioTable tbody');
+    const tr = document.createElement('tr');
+    const cityGrowth = selectedPack().cityGrowth;
+    const cityOptions = Object.keys(cityAppreciationRates).map(c =>
+      `<option value="${c}"${c === p.city ? ' selected' : ''}>${cityName(c)} (${cityGrowth[c].toFixed(1)}%)</option>`).join('');
+    tr.innerHTML = `
+      <td><input class="pf-name" type="text" value="${escapeHtml(p.name)}"></td>
+      <td><input class="pf-buy" type="number" min="0" max="50" step="1" value="${escapeHtml(p.buyAfter)}"></td>
+      <td><select class="pf-city">${cityOptions}</select></td>
+      <td><input class="pf-price" type="number" min="0" step="1000" value="${escapeHtml(p.price)}"></td>
+      <td><input class="pf-deposit" type="number" min="0" step="1000" value="${escapeHtml(p.deposit)}"></td>
+      <td><input class="pf-rate" type="number" min="0" step="0.01" value="${escapeHtml(p.rate)}"></td>
+      <td><input class="pf-term" type="number" min="1" max="40" step="1" value="${escapeHtml(p.termYears)}"></td>
+      <td><select class="pf-type"><option value="P&I"${p.loanType === 'IO' ? '' : ' selected'}>P&amp;I</option><option value="IO"${p.loanType === 'IO' ? ' selected' : ''}>IO</option></select></td>
+      <td><input class="pf-io" type="number" min="0" max="40" step="1" value="${escapeHtml(p.ioYears)}"></td>
+      <td><input class="pf-rent" type="number" min="0" step="10" value="${escapeHtml(p.weeklyRent)}"></td>
+      <td><input class="pf-expenses" type="number" min="0" step="100" value="${escapeHtml(p.expenses)}"></td>
+      <td><input class="pf-dep" type="number" min="0" step="100" value="${escapeHtml(p.depreciation)}"></td>
+      <td><input class="pf-cw" type="number" min="0" step="100" value="${escapeHtml(p.capitalWorks)}"></td>
+      <td><select class="pf-funding"><option value="cash"${p.funding === 'equity' ? '' : ' selected'}>Cash</option><option value="equity"${p.funding === 'equity' ? ' selected' : ''}>Equity</option></select></td>
+      <td><button class="btn pf-remove" type="button">Remove</button></td>
     `;
     tbody.appendChild(tr);
     tr.querySelectorAll('input').forEach(inp => inp.addEventListener('input', recalc));
+    tr.querySelectorAll('select').forEach(sel => sel.addEventListener('change', recalc));
+    tr.querySelector('.pf-remove').addEventListener('click', () => {
+      tr.remove();
+      recalc();
+    });
+  }
+
+  // Preset rate paths, as offsets (percentage points) from the base IP and PPOR rates
+  const ratePresets = {
+    shock2: [ { year: 2, delta: 2 } ],
+    shockRevert: [ { year: 2, delta: 2 }, { year: 4, delta: 0 } ],
+    ramp: [ { year: 2, delta: 0.5 }, { year: 3, delta: 1 }, { year: 4, delta: 1.5 }, { year: 5, delta: 2 }, { year: 6, delta: 2.5 } ],
+    cut: [ { year: 2, delta: -1 } ]
+  };
+
+  function applyRatePreset(){
+    const preset = ratePresets[(document.getElementById('ratePreset') || {}).value] || [];
+    const ipBase = readNumber('interestRate');
+    const pporBase = readNumber('pporRate');
+    document.querySelector('#rateScheduleTable tbody').innerHTML = '';
+    preset.forEach(p => addRateScheduleRow(p.year, Math.max(0, ipBase + p.delta).toFixed(2), Math.max(0, pporBase + p.delta).toFixed(2)));
+    recalc();
+  }
+
+  /**
+   * Scenario state: every input in inputIds plus the investment city and the editable tables.
+   * Shape: { inputs: { id: value }, taxBrackets: [{threshold, rate}], lmiTiers: [{min, max, pct}], rateSchedule: [{year, ipRate, pporRate}],
+   *          plantAssets: [{ name, cost, life, method }], events: [{ year, type, ...fields }],
+   *          portfolio: [{ name, buyAfter, city, price, deposit, rate, termYears, loanType, ioYears, weeklyRent, expenses, depreciation, capitalWorks, funding }] }
+   */
+  function collectState(){
+    const inputs = {};
+    inputIds.concat(stateSelectIds).forEach(id => {
+      const el = document.getElementById(id);
+      if (el) inputs[id] = el.value;
+    });
+    return {
+      inputs,
+      taxBrackets: buildTaxBracketsFromTable(),
+      lmiTiers: buildLmiTiersFromTable(),
+      rateSchedule: buildRateScheduleFromTable(),
+      events: buildEventsFromTable(),
+      plantAssets: buildPlantAssetsFromTable(),
+      portfolio: buildPortfolioFromTable()
+    };
+  }
+
+  function applyState(state){
+    const inputs = state.inputs || {};
+    Object.keys(inputs).forEach(id => {
+      const el = document.getElementById(id);
+      if (el && (inputIds.indexOf(id) !== -1 || stateSelectIds.indexOf(id) !== -1)) el.value = inputs[id];
+    });
+    if (Array.isArray(state.taxBrackets)) fillTaxBrackets(state.taxBrackets);
+    if (Array.isArray(state.lmiTiers)) fillLmiTiers(state.lmiTiers);
+    if (Array.isArray(state.rateSchedule)){
+      document.querySelector('#rateScheduleTable tbody').innerHTML = '';
+      state.rateSchedule.forEach(r => addRateScheduleRow(r.year, isFinite(r.ipRate) ? r.ipRate : '', isFinite(r.pporRate) ? r.pporRate : ''));
+    }
+    if (Array.isArray(state.events)){
+      document.querySelector('#eventsTable tbody').innerHTML = '';
+      state.events.forEach(e => addEventRow(e));
+    }
+    if (Array.isArray(state.plantAssets)){
+      document.querySelector('#plantTable tbody').innerHTML = '';
+      state.plantAssets.forEach(a => addPlantAssetRow(a));
+    }
+    if (Array.isArray(state.portfolio)){
+      document.querySelector('#portfolioTable tbody').innerHTML = '';
+      state.portfolio.forEach(p => addPropertyRow(Object.assign({}, defaultPortfolioProperty, p)));
+    }
+  }
+
+  // Assumption packs: the built-in packs plus custom ones (saved from edits or imported from a file),
+  // which live in localStorage as a list of packs in the AssumptionPacks layout
+  const packStorageKey = 'propertyCalc.assumptionPacks';
+  let customPacks = [];
+
+  function loadCustomPacks(){
+    try {
+      const list = JSON.parse(window.localStorage.getItem(packStorageKey) || '[]');
+      if (!Array.isArray(list)) return [];
+      // Packs that no longer validate are dropped rather than breaking the page
+      return list.reduce((packs, p) => {
+        try {
+          packs.push(window.AssumptionPacks.validate(p));
+        } catch (e) { /* skip */ }
+        return packs;
+      }, []);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function storeCustomPacks(list){
+    try {
+      window.localStorage.setItem(packStorageKey, JSON.stringify(list));
+      return true;
+    } catch (e) {
+      setPackStatus('Could not save: browser storage is unavailable or full.');
+      return false;
+    }
+  }
+
+  function setPackStatus(msg){
+    const el = document.getElementById('packStatus');
+    if (el) el.textContent = msg;
+  }
+
+  function isCustomPack(pack){
+    return !window.AssumptionPacks.find(pack.id);
+  }
+
+  // The pack chosen in the picker, or the default pack (e.g. a link to a custom pack from another browser)
+  function selectedPack(){
+    const id = (document.getElementById('assumptionPack') || {}).value;
+    return window.AssumptionPacks.packs.concat(customPacks).find(p => p.id === id) ||
+      window.AssumptionPacks.find(window.AssumptionPacks.defaultPackId);
+  }
+
+  function selectedLender(pack){
+    const id = (document.getElementById('lmiLender') || {}).value;
+    return pack.lmiLenders.find(l => l.id === id) || pack.lmiLenders[0];
+  }
+
+  function renderPackOptions(selectedId){
+    const select = document.getElementById('assumptionPack');
+    select.innerHTML = '';
+    window.AssumptionPacks.packs.concat(customPacks).forEach(p => {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = isCustomPack(p) ? `${p.name} (custom)` : p.name;
+      select.appendChild(opt);
+    });
+    select.value = selectedId;
+  }
+
+  // Lender and city choices follow the selected pack; the current lender is kept when the pack has it
+  function renderPackChoices(pack){
+    const select = document.getElementById('lmiLender');
+    const current = select.value;
+    select.innerHTML = '';
+    pack.lmiLenders.forEach(l => {
+      const opt = document.createElement('option');
+      opt.value = l.id;
+      opt.textContent = l.name;
+      select.appendChild(opt);
+    });
+    select.value = pack.lmiLenders.some(l => l.id === current) ? current : pack.lmiLenders[0].id;
+    select.dataset.pack = pack.id;
+    document.querySelectorAll('#investmentCity option').forEach(opt => {
+      const rate = pack.cityGrowth[opt.value];
+      if (rate !== undefined) opt.textContent = `${cityName(opt.value)} (${rate.toFixed(1)}% p.a.)`;
+    });
+  }
+
+  function fillTaxBrackets(brackets){
+    document.querySelector('#taxBracketsTable tbody').innerHTML = '';
+    brackets.forEach(b => addTaxBracketRow(b.threshold, (b.rate*100).toFixed(2)));
+  }
+
+  function fillLmiTiers(tiers){
+    document.querySelector('#lmiTable tbody').innerHTML = '';
+    tiers.forEach(t => addLmiRow(t.min, t.max, t.pct));
+  }
+
+  /** Loads a pack's brackets, Medicare levy rate and the chosen lender's LMI tiers into the form. */
+  function applyPack(pack){
+    renderPackChoices(pack);
+    fillTaxBrackets(pack.brackets);
+    fillLmiTiers(selectedLender(pack).tiers);
+    document.getElementById('medicareRatePct').value = (pack.medicareRate * 100).toFixed(1);
+  }
+
+  // Form values that no longer match the selected pack
+  function packDifferences(pack, inputs){
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    const sameRows = (rows, packRows, keys) => rows.length === packRows.length &&
+      rows.every((r, i) => keys.every(k => close(r[k], packRows[i][k])));
+    const lender = selectedLender(pack);
+    const diffs = [];
+    if (!sameRows(inputs.brackets, pack.brackets, ['threshold', 'rate'])) diffs.push('tax brackets');
+    if (!close(inputs.medicareRate, pack.medicareRate)) diffs.push('Medicare levy rate');
+    if (!sameRows(inputs.lmiTiers, lender.tiers, ['min', 'max', 'pct'])) diffs.push(`LMI tiers (${lender.name})`);
+    return diffs;
+  }
+
+  function financialYear(year){
+    return `${year}–${String(year + 1).slice(-2)}`;
+  }
+
+  function renderAssumptionPack(inputs){
+    const pack = selectedPack();
+    if (document.getElementById('lmiLender').dataset.pack !== pack.id) renderPackChoices(pack);
+    const diffs = packDifferences(pack, inputs);
+    const warn = document.getElementById('packWarning');
+    warn.style.display = diffs.length ? '' : 'none';
+    warn.textContent = diffs.length
+      ? `Edited values differ from the ${pack.name} pack: ${diffs.join(', ')}. Reset to the pack, or save the edits as a custom pack.`
+      : '';
+    // Changes after the horizon never apply; earlier ones are already in the year-1 brackets
+    const lastYear = pack.year + inputs.horizonYears - 1;
+    const changes = inputs.bracketChanges.filter(c => c.year <= lastYear)
+      .map(c => `${financialYear(c.year)} (year ${Math.max(1, c.year - pack.year + 1)}): ${c.label || 'bracket rates change'}`);
+    const el = document.getElementById('packChanges');
+    el.textContent = `Projection year 1 is ${financialYear(pack.year)}. ` + (changes.length ? `Legislated changes applied: ${changes.join('; ')}.`
+      : (pack.bracketChanges.length && !inputs.bracketChanges.length) ? 'Legislated bracket changes are ignored: the brackets below apply in every year.' : 'No bracket changes within the horizon.');
+    if (pack.notes) el.textContent += ` ${pack.notes}`;
+    document.getElementById('deletePackBtn').disabled = !isCustomPack(pack);
+  }
+
+  // The selected pack with the form's brackets, Medicare levy rate and LMI tiers (for the chosen lender);
+  // an edited built-in pack becomes a custom pack with its own id
+  function currentPack(){
+    const pack = selectedPack();
+    const inputs = { brackets: buildTaxBracketsFromTable(), medicareRate: readNumber('medicareRatePct')/100, lmiTiers: buildLmiTiersFromTable() };
+    if (!packDifferences(pack, inputs).length) return pack;
+    const lender = selectedLender(pack);
+    return Object.assign({}, pack, isCustomPack(pack) ? {} : { id: `custom-${pack.id}`, name: `${pack.name} edited` }, {
+      brackets: inputs.brackets,
+      medicareRate: inputs.medicareRate,
+      lmiLenders: pack.lmiLenders.map(l => (l.id === lender.id) ? Object.assign({}, l, { tiers: inputs.lmiTiers }) : l)
+    });
+  }
+
+  // Adds or replaces a custom pack (a built-in id gets a custom- prefix) and selects it
+  function storeCustomPack(pack){
+    if (!isCustomPack(pack)) pack = Object.assign({}, pack, { id: `custom-${pack.id}` });
+    const list = customPacks.filter(p => p.id !== pack.id).concat([pack]);
+    if (!storeCustomPacks(list)) return null;
+    customPacks = list;
+    renderPackOptions(pack.id);
+    return pack;
+  }
+
+  function savePackEdits(){
+    const pack = currentPack();
+    if (!isCustomPack(pack)){
+      setPackStatus(`Nothing to save: the form matches the ${pack.name} pack.`);
+      return;
+    }
+    if (!storeCustomPack(pack)) return;
+    recalc();
+    setPackStatus(`Saved "${pack.name}" in this browser.`);
+  }
+
+  function exportPack(){
+    const pack = currentPack();
+    downloadFile(`assumptions-${pack.id}.json`, JSON.stringify(window.AssumptionPacks.toFile(pack), null, 2) + '\n', 'application/json');
+    setPackStatus(`Exported "${pack.name}".`);
+  }
+
+  function importPack(file){
+    const reader = new FileReader();
+    reader.onload = () => {
+      let pack;
+      try {
+        pack = window.AssumptionPacks.validate(JSON.parse(reader.result));
+      } catch (e) {
+        setPackStatus(`Could not import ${file.name}: ${e.message}.`);
+        return;
+      }
+      pack = storeCustomPack(pack);
+      if (!pack) return;
+      applyPack(pack);
+      recalc();
+      setPackStatus(`Imported "${pack.name}" from ${file.name}.`);
+    };
+    reader.onerror = () => setPackStatus(`Could not read ${file.name}.`);
+    reader.readAsText(file);
+  }
+
+  function deleteCustomPack(){
+    const pack = selectedPack();
+    if (!isCustomPack(pack)) return;
+    const list = customPacks.filter(p => p.id !== pack.id);
+    if (!storeCustomPacks(list)) return;
+    customPacks = list;
+    renderPackOptions(window.AssumptionPacks.defaultPackId);
+    applyPack(selectedPack());
+    recalc();
+    setPackStatus(`Deleted "${pack.name}".`);
+  }
+
+  function initAssumptionPacks(){
+    customPacks = loadCustomPacks();
+    renderPackOptions(window.AssumptionPacks.defaultPackId);
+    applyPack(selectedPack());
+    document.getElementById('assumptionPack').addEventListener('change', () => {
+      applyPack(selectedPack());
+      recalc();
+    });
+    document.getElementById('lmiLender').addEventListener('change', () => {
+      fillLmiTiers(selectedLender(selectedPack()).tiers);
+      recalc();
+    });
+    document.getElementById('resetPackBtn').addEventListener('click', () => {
+      applyPack(selectedPack());
+      recalc();
+    });
+    document.getElementById('savePackBtn').addEventListener('click', savePackEdits);
+    document.getElementById('exportPackBtn').addEventListener('click', exportPack);
+    document.getElementById('deletePackBtn').addEventListener('click', deleteCustomPack);
+    const fileInput = document.getElementById('importPackFile');
+    document.getElementById('importPackBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length) importPack(fileInput.files[0]);
+      fileInput.value = '';
+    });
+  }
+
+  // Saved scenarios live in localStorage as an ordered list of { name, savedAt, state }
+  const scenarioStorageKey = 'propertyCalc.scenarios';
+
+  function loadScenarios(){
+    try {
+      const list = JSON.parse(window.localStorage.getItem(scenarioStorageKey) || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function storeScenarios(list){
+    try {
+      window.localStorage.setItem(scenarioStorageKey, JSON.stringify(list));
+      return true;
+    } catch (e) {
+      setScenarioStatus('Could not save: browser storage is unavailable or full.');
+      return false;
+    }
+  }
+
+  function setScenarioStatus(msg){
+    const el = document.getElementById('scenarioStatus');
+    if (el) el.textContent = msg;
+  }
+
+  function renderScenarioList(selectedName){
+    const list = loadScenarios();
+    const select = document.getElementById('scenarioList');
+    const compare = document.getElementById('compareList');
+    if (select){
+      select.innerHTML = list.length ? '' : '<option value="">(no saved scenarios)</option>';
+      list.forEach(sc => {
+        const opt = document.createElement('option');
+        opt.value = sc.name;
+        opt.textContent = `${sc.name} — ${new Date(sc.savedAt).toLocaleString()}`;
+        if (sc.name === selectedName) opt.selected = true;
+        select.appendChild(opt);
+      });
+    }
+    if (compare){
+      compare.innerHTML = '';
+      list.forEach(sc => {
+        const label = document.createElement('label');
+        label.className = 'check';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = sc.name;
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(sc.name));
+        compare.appendChild(label);
+      });
+    }
+  }
+
+  function uniqueScenarioName(base, list){
+    let name = base;
+    let n = 2;
+    while (list.some(sc => sc.name === name)) name = `${base} (${n++})`;
+    return name;
+  }
+
+  function selectedScenarioName(){
+    return (document.getElementById('scenarioList') || {}).value || '';
+  }
+
+  function scenarioNameInput(){
+    return ((document.getElementById('scenarioName') || {}).value || '').trim();
+  }
+
+  function saveScenario(){
+    const name = scenarioNameInput();
+    if (!name) return setScenarioStatus('Enter a name to save the current inputs.');
+    const list = loadScenarios();
+    const entry = { name, savedAt: Date.now(), state: collectState() };
+    const idx = list.findIndex(sc => sc.name === name);
+    if (idx >= 0) list[idx] = entry; else list.push(entry);
+    if (storeScenarios(list)){
+      renderScenarioList(name);
+      setScenarioStatus(idx >= 0 ? `Updated "${name}".` : `Saved "${name}".`);
+    }
+  }
+
+  function loadScenario(){
+    const sc = loadScenarios().find(x => x.name === selectedScenarioName());
+    if (!sc) return setScenarioStatus('Select a saved scenario first.');
+    applyState(savedScenarioState(sc.state));
+    recalc();
+    document.getElementById('scenarioName').value = sc.name;
+    setScenarioStatus(`Loaded "${sc.name}".`);
+  }
+
+  function renameScenario(){
+    const from = selectedScenarioName();
+    const to = scenarioNameInput();
+    const list = loadScenarios();
+    const sc = list.find(x => x.name === from);
+    if (!sc || !to) return setScenarioStatus('Select a scenario and enter its new name.');
+    if (to !== from && list.some(x => x.name === to)) return setScenarioStatus(`A scenario named "${to}" already exists.`);
+    sc.name = to;
+    if (storeScenarios(list)){
+      renderScenarioList(to);
+      setScenarioStatus(`Renamed "${from}" to "${to}".`);
+    }
+  }
+
+  function duplicateScenario(){
+    const list = loadScenarios();
+    const sc = list.find(x => x.name === selectedScenarioName());
+    if (!sc) return setScenarioStatus('Select a saved scenario first.');
+    const name = uniqueScenarioName(`${sc.name} copy`, list);
+    list.push({ name, savedAt: Date.now(), state: JSON.parse(JSON.stringify(sc.state)) });
+    if (storeScenarios(list)){
+      renderScenarioList(name);
+      setScenarioStatus(`Duplicated "${sc.name}" as "${name}".`);
+    }
+  }
+
+  function deleteScenario(){
+    const name = selectedScenarioName();
+    const list = loadScenarios();
+    if (!list.some(x => x.name === name)) return setScenarioStatus('Select a saved scenario first.');
+    if (!window.confirm(`Delete scenario "${name}"?`)) return;
+    if (storeScenarios(list.filter(x => x.name !== name))){
+      renderScenarioList();
+      setScenarioStatus(`Deleted "${name}".`);
+    }
+  }
+
+  const compareColors = ['#2f71ff', '#f59e0b', '#18a34a', '#e879f9'];
+
+  /**
+   * Compare 2–4 saved scenarios: each is applied to the form and recalculated in turn,
+   * then the user's current inputs are restored.
+   */
+  function compareScenarios(){
+    const names = Array.from(document.querySelectorAll('#compareList input:checked')).map(b => b.value);
+    const block = document.getElementById('compareResults');
+    if (names.length < 2 || names.length > 4){
+      if (block) block.style.display = 'none';
+      return setScenarioStatus('Tick between two and four scenarios to compare.');
+    }
+    const saved = loadScenarios();
+    const current = collectState();
+    const results = names.map(name => {
+      applyState(savedScenarioState(saved.find(x => x.name === name).state));
+      return { name, result: recalc() };
+    });
+    applyState(current);
+    recalc();
+
+    window.Charts.lineChart(document.getElementById('compareChart'), {
+      series: results.map((r, i) => ({ name: r.name, points: r.result.years.map(p => ({ x: p.y, y: p.investNetWorth })), color: compareColors[i] })),
+      xLabel: 'Year', formatValue: currency
+    });
+
+    const metrics = [
+      ['Purchase price', r => r.purchasePrice, currency],
+      ['LVR', r => r.lvr, v => v.toFixed(2) + '%'],
+      ['LMI', r => r.lmiCost, currency],
+      ['Upfront costs', r => r.upfrontCosts, currency],
+      ['Year-1 after-tax out-of-pocket', r => r.oopAfterTax, currency],
+      ['Final net worth (Invest)', r => r.years[r.years.length-1].investNetWorth, currency],
+      ['Invest − No Invest at horizon', r => { const l = r.years[r.years.length-1]; return l.investNetWorth - l.noInvestNetWorth; }, currency],
+    ];
+    const table = document.getElementById('compareTable');
+    table.querySelector('thead').innerHTML = `<tr><th>Metric</th>${results.map((r, i) => `<th>${escapeHtml(r.name)}${i ? ' (Δ vs first)' : ''}</th>`).join('')}</tr>`;
+    table.querySelector('tbody').innerHTML = metrics.map(([label, get, fmt]) => {
+      const base = get(results[0].result);
+      const cells = results.map((r, i) => {
+        const v = get(r.result);
+        if (!i) return `<td>${fmt(v)}</td>`;
+        const diff = v - base;
+        return `<td>${fmt(v)} <span class="delta">(${diff >= 0 ? '+' : '−'}${fmt(Math.abs(diff))})</span></td>`;
+      }).join('');
+      return `<tr><td>${label}</td>${cells}</tr>`;
+    }).join('');
+    if (block) block.style.display = '';
+    setScenarioStatus(`Comparing ${names.length} scenarios.`);
+  }
+
+  /**
+   * Shareable link: the state is stored in the URL hash as "#v<version>.<base64url JSON>".
+   * Only values that differ from the page defaults are encoded, so typical links stay short.
+   * Payload: { i: { inputId: value }, t: [[threshold, rate%]], l: [[minLvr, maxLvr, pct%]], r: [[year, ipRate, pporRate]],
+   *            e: [[year, type, ...fields]], d: [[name, cost, life, method]], p: [[portfolio fields]] }
+   */
+  const stateHashVersion = 1;
+  let defaultState = null;
+  let lastWrittenHash = '';
+  let hashUpdateTimer = null;
+
+  function compactValue(v){
+    return /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v;
+  }
+
+  function encodeStateHash(state){
+    const payload = { i: {} };
+    Object.keys(state.inputs).forEach(id => {
+      // Calculated upfront costs are derived, so only a manual figure needs to travel
+      if (id === 'upfrontCosts' && state.inputs.upfrontMode !== 'manual') return;
+      if (state.inputs[id] !== defaultState.inputs[id]) payload.i[id] = compactValue(state.inputs[id]);
+    });
+    const tables = {
+      t: state.taxBrackets.map(b => [b.threshold, +(b.rate*100).toFixed(4)]),
+      l: state.lmiTiers.map(t => [t.min, t.max, +(t.pct*100).toFixed(4)]),
+      r: state.rateSchedule.map(r => [r.year, isFinite(r.ipRate) ? r.ipRate : null, isFinite(r.pporRate) ? r.pporRate : null]),
+      e: state.events.map(eventRow),
+      d: state.plantAssets.map(a => [a.name, a.cost, a.life, a.method]),
+      p: (state.inputs.portfolioMode === 'portfolio' ? state.portfolio : []).map(p => portfolioFields.map(f => p[f]))
+    };
+    const defaults = {
+      t: defaultState.taxBrackets.map(b => [b.threshold, +(b.rate*100).toFixed(4)]),
+      l: defaultState.lmiTiers.map(t => [t.min, t.max, +(t.pct*100).toFixed(4)]),
+      r: [],
+      e: [],
+      d: defaultState.plantAssets.map(a => [a.name, a.cost, a.life, a.method]),
+      p: []
+    };
+    Object.keys(tables).forEach(k => {
+      if (JSON.stringify(tables[k]) !== JSON.stringify(defaults[k])) payload[k] = tables[k];
+    });
+    const json = JSON.stringify(payload);
+    const b64 = window.btoa(unescape(encodeURIComponent(json))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `v${stateHashVersion}.${b64}`;
+  }
+
+  // Portfolio rows travel in the link as arrays in this field order. Later fields go on the end, so rows
+  // from older links are a prefix and the missing fields take their defaults
+  const portfolioFields = ['name', 'buyAfter', 'city', 'price', 'deposit', 'rate', 'termYears', 'loanType', 'weeklyRent', 'expenses', 'depreciation', 'funding', 'ioYears', 'capitalWorks'];
+  const portfolioLinkMinFields = 12;
+  const portfolioTextFields = { name: null, city: Object.keys(cityAppreciationRates), loanType: ['P&I', 'IO'], funding: ['cash', 'equity'] };
+
+  function validPortfolioRows(rows){
+    return Array.isArray(rows) && rows.length <= 20 && rows.every(r => Array.isArray(r) && r.length === portfolioFields.length && r.every((v, i) => {
+      const f = portfolioFields[i];
+      if (!(f in portfolioTextFields)) return isFinite(v) && v !== null;
+      // Names are free text: markup is refused outright rather than trusted to later escaping
+      return typeof v === 'string' && v.length <= 60 && !/[<>]/.test(v) && (!portfolioTextFields[f] || portfolioTextFields[f].indexOf(v) !== -1);
+    }));
+  }
+
+  // Events travel as [year, type, ...that type's field values]
+  function eventRow(e){
+    return [e.year, e.type].concat(eventTypes[e.type].fields.map(([name]) => e[name]));
+  }
+
+  function validEventRows(rows){
+    return Array.isArray(rows) && rows.length <= 50 && rows.every(r => Array.isArray(r) && eventTypes.hasOwnProperty(r[1]) &&
+      r.length === 2 + eventTypes[r[1]].fields.length && r.every((v, i) => i === 1 || (isFinite(v) && v !== null)));
+  }
+
+  function validPlantRows(rows){
+    return Array.isArray(rows) && rows.length <= 50 && rows.every(r => Array.isArray(r) && r.length === 4 &&
+      typeof r[0] === 'string' && r[0].length <= 60 && isFinite(r[1]) && r[1] !== null && isFinite(r[2]) && r[2] !== null && (r[3] === 'dv' || r[3] === 'pc'));
+  }
+
+  function validTableRows(rows, width){
+    return Array.isArray(rows) && rows.length <= 50 && rows.every(r => Array.isArray(r) && r.length === width && r.every(v => v === null || isFinite(v)));
+  }
+
+  /** Returns a state object for applyState(), or throws if the hash is malformed or from another version. */
+  function decodeStateHash(hash){
+    const m = /^#?v(\d+)\.([A-Za-z0-9_-]*)$/.exec(hash);
+    if (!m) throw new Error('Unrecognised link format');
+    if (Number(m[1]) !== stateHashVersion) throw new Error(`Link is from an older or newer version (v${m[1]})`);
+    const b64 = m[2].replace(/-/g, '+').replace(/_/g, '/');
+    const payload = JSON.parse(decodeURIComponent(escape(window.atob(b64 + '==='.slice((b64.length + 3) % 4)))));
+    if (!payload || typeof payload !== 'object') throw new Error('Empty link payload');
+    return stateFromPayload(payload);
+  }
+
+  // Keeps the inputs and tables that pass the checks above; shared links and saved scenarios both come through here
+  function stateFromPayload(payload){
+    const inputs = {};
+    Object.keys(payload.i || {}).forEach(id => {
+      const el = document.getElementById(id);
+      const v = String(payload.i[id]);
+      if (!el || (inputIds.indexOf(id) === -1 && stateSelectIds.indexOf(id) === -1)) return;
+      if (el.tagName === 'SELECT' && !Array.from(el.options).some(o => o.value === v)) return;
+      if (el.type === 'number' && !isFinite(parseFloat(v))) return;
+      inputs[id] = v;
+    });
+    const state = { inputs };
+    if (validTableRows(payload.t, 2)) state.taxBrackets = payload.t.map(r => ({ threshold: r[0], rate: r[1]/100 }));
+    if (validTableRows(payload.l, 3)) state.lmiTiers = payload.l.map(r => ({ min: r[0], max: r[1], pct: r[2]/100 }));
+    if (validTableRows(payload.r, 3)) state.rateSchedule = payload.r.map(r => ({ year: r[0], ipRate: r[1] === null ? NaN : r[1], pporRate: r[2] === null ? NaN : r[2] }));
+    if (validEventRows(payload.e)) state.events = payload.e.map(r => {
+      const e = { year: r[0], type: r[1] };
+      eventTypes[r[1]].fields.forEach(([name], i) => { e[name] = r[2 + i]; });
+      return e;
+    });
+    if (validPlantRows(payload.d)) state.plantAssets = payload.d.map(r => ({ name: r[0], cost: r[1], life: r[2], method: r[3] }));
+    const portfolioRows = Array.isArray(payload.p) ? payload.p.map(r => (Array.isArray(r) && r.length >= portfolioLinkMinFields)
+      ? r.concat(portfolioFields.slice(r.length).map(f => defaultPortfolioProperty[f])) : r) : payload.p;
+    if (validPortfolioRows(portfolioRows)) state.portfolio = portfolioRows.map(r => {
+      const p = {};
+      portfolioFields.forEach((f, i) => { p[f] = r[i]; });
+      return p;
+    });
+    return state;
+  }
+
+  /** A saved scenario's state, put into the link layout so localStorage gets the same checks as a shared link. */
+  function savedScenarioState(saved){
+    const s = saved && typeof saved === 'object' ? saved : {};
+    const rows = (list, fn) => Array.isArray(list) ? list.map(x => x && typeof x === 'object' ? fn(x) : null) : undefined;
+    return stateFromPayload({
+      i: s.inputs && typeof s.inputs === 'object' ? s.inputs : {},
+      t: rows(s.taxBrackets, b => [b.threshold, +(b.rate*100).toFixed(4)]),
+      l: rows(s.lmiTiers, t => [t.min, t.max, +(t.pct*100).toFixed(4)]),
+      r: rows(s.rateSchedule, r => [r.year, isFinite(r.ipRate) ? r.ipRate : null, isFinite(r.pporRate) ? r.pporRate : null]),
+      e: rows(s.events, e => eventTypes.hasOwnProperty(e.type) ? eventRow(e) : null),
+      d: rows(s.plantAssets, a => [a.name, a.cost, a.life, a.method]),
+      // Scenarios saved before a portfolio field existed take its default
+      p: rows(s.portfolio, p => portfolioFields.map(f => (f in p ? p : defaultPortfolioProperty)[f]))
+    });
+  }
+
+  function writeStateHash(){
+    const hash = encodeStateHash(collectState());
+    if (hash === lastWrittenHash) return;
+    lastWrittenHash = hash;
+    try {
+      window.history.replaceState(null, '', '#' + hash);
+    } catch (e) {
+      window.location.replace('#' + hash);
+    }
+  }
+
+  function scheduleHashUpdate(){
+    clearTimeout(hashUpdateTimer);
+    hashUpdateTimer = setTimeout(writeStateHash, 300);
+  }
+
+  /** Restore state from the URL hash; anything unreadable falls back to the defaults. */
+  function restoreFromHash(){
+    const hash = window.location.hash.replace(/^#/, '');
+    if (!hash || hash === lastWrittenHash) return false;
+    applyState(defaultState);
+    try {
+      applyState(decodeStateHash(hash));
+      lastWrittenHash = hash;
+      setScenarioStatus('Loaded scenario from link.');
+      return true;
+    } catch (e) {
+      setScenarioStatus(`Could not read the shared link (${e.message}); showing defaults.`);
+      return false;
+    }
+  }
+
+  function copyShareLink(){
+    writeStateHash();
+    const url = window.location.href;
+    const done = () => setScenarioStatus('Share link copied to clipboard.');
+    const fallback = () => {
+      window.prompt('Copy this link:', url);
+    };
+    if (navigator.clipboard && navigator.clipboard.writeText){
+      navigator.clipboard.writeText(url).then(done, fallback);
+    } else {
+      fallback();
+    }
+  }
+
+  function initShareLink(){
+    defaultState = collectState();
+    restoreFromHash();
+    document.getElementById('copyLinkBtn').addEventListener('click', copyShareLink);
+    // Any edit (inputs, table rows, loading a scenario) refreshes the hash shortly afterwards
+    ['input', 'change', 'click'].forEach(evt => document.addEventListener(evt, scheduleHashUpdate));
+    window.addEventListener('hashchange', () => {
+      if (restoreFromHash()) recalc();
+    });
+  }
+
+  /**
+   * Export columns for the year-by-year projection: [header, row => value, format].
+   * Shared by the CSV and XLSX exports so both carry the same fields.
+   */
+  const projectionColumns = {
+    invest: [
+      ['Year', r => r.y],
+      ['IP rate (%)', r => r.ipRateYear, 'dec'],
+      ['Investment property value', r => r.propertyValue, 'money'],
+      ['Investment loan balance', r => r.balance, 'money'],
+      ['Rent', r => r.rentThisYear, 'money'],
+      ['Expenses', r => r.expensesThisYear, 'money'],
+      ['Interest', r => r.interestYear, 'money'],
+      ['Principal', r => r.principalYear, 'money'],
+      ['Depreciation', r => r.depreciation, 'money'],
+      ['Taxable result', r => r.taxable, 'money'],
+      ['Tax benefit', r => r.taxSavings, 'money'],
+      ['After-tax cashflow', r => r.afterTaxCashflow, 'money'],
+      ['Cumulative after-tax cashflow', r => r.cumulativeAfterTax, 'money'],
+      ['PPOR rate (%)', r => r.pporRateYear, 'dec'],
+      ['PPOR value', r => r.pporValueInvest, 'money'],
+      ['PPOR balance', r => r.pporBalanceInvest, 'money'],
+      ['Offsets', r => r.offsetsInvest, 'money'],
+      ['Net worth', r => r.investNetWorth, 'money'],
+      ['Events', r => r.events.map(describeEvent).join('; ')],
+    ],
+    noInvest: [
+      ['Year', r => r.y],
+      ['PPOR rate (%)', r => r.pporRateYear, 'dec'],
+      ['PPOR value', r => r.pporValueNoInvest, 'money'],
+      ['PPOR balance', r => r.pporBalanceNoInvest, 'money'],
+      ['PPOR offset', r => r.pporOffsetNoInvest, 'money'],
+      ['Net worth', r => r.noInvestNetWorth, 'money'],
+    ],
+    shares: [
+      ['Year', r => r.y],
+      ['Portfolio value', r => r.sharesValue, 'money'],
+      ['Portfolio cost base', r => r.sharesCostBase, 'money'],
+      ['Dividends after tax', r => r.dividendsAfterTax, 'money'],
+      ['Net worth', r => r.sharesNetWorth, 'money'],
+    ]
+  };
+
+  function inputLabel(el){
+    const label = el.closest('label');
+    if (!label) return el.id;
+    const text = Array.from(label.childNodes).filter(n => n.nodeType === 3).map(n => n.textContent).join(' ').trim();
+    return text || el.id;
+  }
+
+  function inputsSheetRows(){
+    const rows = [['Input', 'Value', 'Field']];
+    inputIds.concat(stateSelectIds).forEach(id => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      const value = (el.tagName === 'SELECT') ? el.options[el.selectedIndex].text : (isFinite(parseFloat(el.value)) ? parseFloat(el.value) : el.value);
+      rows.push([inputLabel(el), value, id]);
+    });
+    rows.push([], ['Tax brackets: threshold ($)', 'Rate (%)']);
+    const pct = x => Math.round(x * 1e6) / 1e4;
+    buildTaxBracketsFromTable().forEach(b => rows.push([b.threshold, pct(b.rate)]));
+    rows.push([], ['LMI tiers: min LVR (%)', 'Max LVR (%)', 'LMI (% of loan)']);
+    buildLmiTiersFromTable().forEach(t => rows.push([t.min, t.max, pct(t.pct)]));
+    rows.push([], ['Plant and equipment: asset', 'Cost ($)', 'Effective life (years)', 'Method']);
+    buildPlantAssetsFromTable().forEach(a => rows.push([a.name, a.cost, a.life, a.method === 'pc' ? 'Prime cost' : 'Diminishing value']));
+    if (document.getElementById('portfolioMode').value === 'portfolio'){
+      rows.push([], ['Portfolio properties'].concat(portfolioFields));
+      buildPortfolioFromTable().forEach(p => rows.push([''].concat(portfolioFields.map(f => p[f]))));
+    }
+    const schedule = buildRateScheduleFromTable();
+    if (schedule.length){
+      rows.push([], ['Rate schedule: from year', 'IP rate (%)', 'PPOR rate (%)']);
+      schedule.forEach(r => rows.push([r.year, r.ipRate, r.pporRate]));
+    }
+    const events = buildEventsFromTable();
+    if (events.length){
+      rows.push([], ['Timeline events: year', 'Event', 'Details']);
+      events.forEach(e => rows.push([e.year, eventTypes[e.type].name,
+        eventTypes[e.type].fields.map(([name, label]) => `${label}: ${e[name]}`).join('; ')]));
+    }
+    return rows;
+  }
+
+  function summarySheetRows(res){
+    const last = res.years[res.years.length-1];
+    const rows = [
+      ['Output', 'Value'],
+      ['Gross rental yield', { v: res.rentalYield, f: 'pct' }],
+      ['Net rental yield (after vacancy)', { v: res.rentalYieldNet, f: 'pct' }],
+      ['LVR', { v: res.lvr/100, f: 'pct' }],
+      ['Estimated LMI', { v: res.lmiCost, f: 'money' }],
+      ['Loan amount', { v: res.loanAmount, f: 'money' }],
+      ['Upfront costs', { v: res.upfrontCosts, f: 'money' }],
+      ['Cash needed at settlement', { v: res.cashAtSettlement, f: 'money' }],
+      ['Gross annual rent', { v: res.grossAnnualRent, f: 'money' }],
+      ['Annual rental income (after vacancy)', { v: res.annualRent, f: 'money' }],
+      ['Itemised annual expenses', { v: res.itemisedExpenses, f: 'money' }],
+      ['Annual interest (year 1)', { v: res.annualInterest, f: 'money' }],
+      ['Annual principal (year 1)', { v: res.annualPrincipal, f: 'money' }],
+      ['Net gearing (pre-depreciation)', { v: res.preDepResult, f: 'money' }],
+      ['Taxable loss (after depreciation)', { v: res.taxableLoss, f: 'money' }],
+      ['Annual tax savings', { v: res.annualTaxSavings, f: 'money' }],
+      ['Out-of-pocket (before tax)', { v: res.oopBeforeTax, f: 'money' }],
+      ['Out-of-pocket (after tax)', { v: res.oopAfterTax, f: 'money' }],
+      ['Marginal rate (me)', { v: res.mtrSelf, f: 'pct' }],
+      ['Marginal rate (spouse)', { v: res.mtrSpouse, f: 'pct' }],
+      ['Final net worth: Invest', { v: last.investNetWorth, f: 'money' }],
+      ['Final net worth: No Invest', { v: last.noInvestNetWorth, f: 'money' }],
+      ['Final net worth: Shares/ETF', { v: last.sharesNetWorth, f: 'money' }],
+      ['Invest − No Invest at horizon', { v: last.investNetWorth - last.noInvestNetWorth, f: 'money' }],
+    ];
+    if (res.sale){
+      rows.push(['CGT on sale', { v: res.sale.cgt, f: 'money' }], ['After-tax sale proceeds', { v: res.sale.proceedsAfterTax, f: 'money' }]);
+    }
+    return rows;
+  }
+
+  function projectionSheetRows(columns, years){
+    return [columns.map(c => c[0])].concat(years.map(row => columns.map(([, get, f]) => f ? { v: get(row), f } : get(row))));
+  }
+
+  function portfolioSheetRows(rows){
+    const header = ['Property', 'Bought (year)', 'Price', 'Loan (incl. LMI)', 'Cash used', 'Equity used', 'Equity released', 'Rent (total)', 'Taxable result (total)', 'Value at horizon', 'Debt at horizon', 'After-tax equity on sale'];
+    const money = v => ({ v, f: 'money' });
+    return [header].concat(rows.map(r => [r.name, r.boughtYear, money(r.price), money(r.loanAmount), money(r.cashUsed), money(r.equityUsed), money(r.released),
+      money(r.rentTotal), money(r.taxableTotal), money(r.value), money(r.debt), money(r.proceedsAfterTax)]));
+  }
+
+  function downloadFile(filename, data, mime){
+    const blob = new Blob([data], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function downloadChart(chartId, format){
+    const svgEl = document.getElementById(chartId);
+    if (!svgEl) return;
+    const filename = `${exportBaseName()}-${chartId.replace(/Chart$/, '')}`;
+    const saveSvg = () => downloadFile(`${filename}.svg`, window.Charts.toSvgString(svgEl), 'image/svg+xml');
+    if (format === 'svg') return saveSvg();
+    // Some browsers refuse to rasterise an SVG image into a canvas; offer the SVG instead
+    return window.Charts.toPngBlob(svgEl, 2)
+      .then(blob => downloadFile(`${filename}.png`, blob, 'image/png'))
+      .catch(saveSvg);
+  }
+
+  function exportBaseName(){
+    const name = ((document.getElementById('scenarioName') || {}).value || '').trim().replace(/[^\w -]+/g, '').replace(/\s+/g, '-');
+    return `property-projection${name ? '-' + name : ''}`;
+  }
+
+  function csvCell(v){
+    if (v === null || v === undefined || (typeof v === 'number' && !isFinite(v))) return '';
+    if (typeof v === 'number') return String(Math.round(v * 100) / 100);
+    return /[",\n]/.test(v) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  }
+
+  // CSV: one row per year with every Invest, No Invest and Shares/ETF field side by side
+  function exportCsv(){
+    if (!lastResult) return;
+    const groups = [['Invest', projectionColumns.invest], ['No Invest', projectionColumns.noInvest.slice(1)], ['Shares/ETF', projectionColumns.shares.slice(1)]];
+    const header = [];
+    groups.forEach(([name, cols]) => cols.forEach(c => header.push(c[0] === 'Year' ? 'Year' : `${name}: ${c[0]}`)));
+    const lines = [header.map(csvCell).join(',')];
+    lastResult.years.forEach(row => {
+      const cells = [];
+      groups.forEach(([, cols]) => cols.forEach(c => cells.push(csvCell(c[1](row)))));
+      lines.push(cells.join(','));
+    });
+    downloadFile(`${exportBaseName()}.csv`, lines.join('\r\n') + '\r\n', 'text/csv;charset=utf-8');
+  }
+
+  function exportXlsx(){
+    if (!lastResult) return;
+    const sheets = [
+      { name: 'Inputs', rows: inputsSheetRows(), headerRow: true },
+      { name: 'Summary', rows: summarySheetRows(lastResult), headerRow: true },
+      { name: 'Invest', rows: projectionSheetRows(projectionColumns.invest, lastResult.years), headerRow: true },
+      { name: 'No Invest', rows: projectionSheetRows(projectionColumns.noInvest, lastResult.years), headerRow: true },
+      { name: 'Shares-ETF', rows: projectionSheetRows(projectionColumns.shares, lastResult.years), headerRow: true },
+    ];
+    if (lastResult.portfolio.length) sheets.push({ name: 'Portfolio', rows: portfolioSheetRows(lastResult.portfolio), headerRow: true });
+    const workbook = window.XlsxWriter.buildWorkbook(sheets);
+    downloadFile(`${exportBaseName()}.xlsx`, workbook, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  }
+
+  // Printable report: built from the latest result and shown in place of the calculator
+
+  function reportCell(v){
+    if (v && typeof v === 'object'){
+      if (v.f === 'money') return currency(v.v);
+      if (v.f === 'pct') return percent(v.v);
+      return isFinite(v.v) ? v.v.toFixed(2) : '—';
+    }
+    if (typeof v === 'number') return isFinite(v) ? v.toLocaleString() : '—';
+    return (v === null || v === undefined) ? '' : String(v);
+  }
+
+  // Table from sheet-style rows (see summarySheetRows); an empty row starts a new table whose first row is its header
+  function reportTables(rows, className){
+    const frag = document.createDocumentFragment();
+    let table = null;
+    rows.forEach(row => {
+      if (!row.length){
+        table = null;
+        return;
+      }
+      const isHeader = !table;
+      if (!table){
+        table = document.createElement('table');
+        table.className = 'report-table' + (className ? ' ' + className : '');
+        table.appendChild(document.createElement('thead'));
+        table.appendChild(document.createElement('tbody'));
+        frag.appendChild(table);
+      }
+      const tr = document.createElement('tr');
+      row.forEach(cell => {
+        const td = document.createElement(isHeader ? 'th' : 'td');
+        td.textContent = reportCell(cell);
+        if (!isHeader && (typeof cell === 'number' || (cell && typeof cell === 'object'))) td.className = 'num';
+        tr.appendChild(td);
+      });
+      table.querySelector(isHeader ? 'thead' : 'tbody').appendChild(tr);
+    });
+    return frag;
+  }
+
+  function reportSection(parent, title, className){
+    const section = document.createElement('section');
+    section.className = 'report-section' + (className ? ' ' + className : '');
+    const h2 = document.createElement('h2');
+    h2.textContent = title;
+    section.appendChild(h2);
+    parent.appendChild(section);
+    return section;
+  }
+
+  function reportChart(section, draw){
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('class', 'chart');
+    section.appendChild(svg);
+    draw(svg);
+  }
+
+  function buildReport(){
+    const res = lastResult;
+    const content = document.getElementById('reportContent');
+    if (!res || !content) return;
+    content.innerHTML = '';
+    const money = v => ({ v, f: 'money' });
+    const last = res.years[res.years.length-1];
+
+    const scenarioName = ((document.getElementById('scenarioName') || {}).value || '').trim();
+    document.getElementById('reportTitle').textContent = scenarioName ? `Investment property report: ${scenarioName}` : 'Investment property report';
+    document.getElementById('reportDate').textContent = `Prepared ${new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })}. Figures in AUD; ${res.years.length}-year projection.`;
+
+    reportSection(content, 'Summary').appendChild(reportTables(summarySheetRows(res)));
+
+    // Year-1 cashflow: rent, less expenses, interest and principal, plus the tax benefit
+    const waterfall = reportSection(content, 'Year-1 cashflow');
+    const steps = [
+      { label: 'Rent', value: res.annualRent },
+      { label: 'Expenses', value: -res.itemisedExpenses },
+      { label: 'Interest', value: -res.annualInterest },
+      { label: 'Principal', value: -res.annualPrincipal },
+      { label: 'Tax benefit', value: res.annualTaxSavings }
+    ];
+    reportChart(waterfall, svg => window.Charts.waterfallChart(svg, { steps, totalLabel: 'Net (after tax)', theme: 'light' }));
+    waterfall.appendChild(reportTables([['Item', 'Annual', 'Monthly']].concat(steps.map(st => [st.label, money(st.value), money(st.value/12)]),
+      [['After-tax cashflow', money(-res.oopAfterTax), money(-res.oopAfterTax/12)]])));
+
+    reportSection(content, 'Loan, LVR and LMI').appendChild(reportTables([
+      ['Item', 'Value'],
+      ['Purchase price', money(res.purchasePrice)],
+      ['Deposit', money(res.deposit)],
+      ['Loan before LMI', money(res.loanAmount - res.lmiCost)],
+      ['LVR before LMI', { v: res.purchasePrice > 0 ? (res.loanAmount - res.lmiCost) / res.purchasePrice : NaN, f: 'pct' }],
+      ['Estimated LMI (capitalised)', money(res.lmiCost)],
+      ['Loan amount', money(res.loanAmount)],
+      ['LVR including LMI', { v: res.lvr/100, f: 'pct' }],
+      ['Upfront costs (duty, fees, conveyancing)', money(res.upfrontCosts)],
+      ['Cash needed at settlement', money(res.cashAtSettlement)]
+    ]));
+
+    const owners = ['Me', 'Spouse'];
+    reportSection(content, 'Tax per owner (year 1)').appendChild(reportTables(
+      [[''].concat(...owners.map(o => [`${o} without property`, `${o} with property`]))]
+        .concat(taxBreakdownLines.map(([label, get]) => [label].concat(...owners.map((o, i) => [money(get(res.taxEffect.without[i])), money(get(res.taxEffect.with[i]))]))))
+        .concat([['Tax benefit'].concat(...owners.map((o, i) => ['', money(res.taxEffect.benefits[i])]))])
+    ));
+
+    const chart = reportSection(content, 'Net worth over time');
+    const simulation = (lastSimulation && lastProjectionCtx && lastSimulation.key === simulationKey(lastProjectionCtx, readSimulationOptions())) ? lastSimulation.result : null;
+    reportChart(chart, svg => window.Charts.lineChart(svg, Object.assign(networthChartOptions(res.years, simulation), { theme: 'light' })));
+    const diff = document.createElement('p');
+    diff.textContent = `At the horizon: Invest ${currency(last.investNetWorth)}, No Invest ${currency(last.noInvestNetWorth)}, difference ${currency(last.investNetWorth - last.noInvestNetWorth)}.`;
+    chart.appendChild(diff);
+
+    reportSection(content, 'Projection: Invest', 'report-wide').appendChild(reportTables(projectionSheetRows(projectionColumns.invest, res.years)));
+    reportSection(content, 'Projection: No Invest').appendChild(reportTables(projectionSheetRows(projectionColumns.noInvest, res.years)));
+    if (res.portfolio.length) reportSection(content, 'Portfolio', 'report-wide').appendChild(reportTables(portfolioSheetRows(res.portfolio)));
+
+    // The input list's third column is the form field id, which only matters to the spreadsheet
+    let inInputList = true;
+    const inputs = inputsSheetRows().map(row => {
+      if (!row.length) inInputList = false;
+      return inInputList ? row.slice(0, 2) : row;
+    });
+    reportSection(content, 'Inputs', 'report-inputs').appendChild(reportTables(inputs));
+
+    renderNotes(document.getElementById('reportAssumptions'), assumptionNotes);
+  }
+
+  function renderNotes(list, notes){
+    list.innerHTML = '';
+    notes.forEach(text => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      list.appendChild(li);
+    });
+  }
+
+  function showReport(show){
+    if (show) buildReport();
+    document.body.classList.toggle('report-mode', show);
+    document.getElementById('report').hidden = !show;
+    window.scrollTo(0, 0);
+  }
+
+  function initScenarios(){
+    document.getElementById('saveScenarioBtn').addEventListener('click', saveScenario);
+    document.getElementById('loadScenarioBtn').addEventListener('click', loadScenario);
+    document.getElementById('renameScenarioBtn').addEventListener('click', renameScenario);
+    document.getElementById('duplicateScenarioBtn').addEventListener('click', duplicateScenario);
+    document.getElementById('deleteScenarioBtn').addEventListener('click', deleteScenario);
+    document.getElementById('compareScenariosBtn').addEventListener('click', compareScenarios);
+    document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+    document.getElementById('exportXlsxBtn').addEventListener('click', exportXlsx);
+    document.getElementById('generateReportBtn').addEventListener('click', () => showReport(true));
+    document.getElementById('closeReportBtn').addEventListener('click', () => showReport(false));
+    document.getElementById('printReportBtn').addEventListener('click', () => window.print());
+    document.getElementById('runSimulationBtn').addEventListener('click', runSimulation);
+    document.getElementById('solveBtn').addEventListener('click', runSolver);
+    document.getElementById('applySolutionBtn').addEventListener('click', applySolution);
+    document.querySelectorAll('[data-chart-download]').forEach(btn => {
+      btn.addEventListener('click', () => downloadChart(btn.getAttribute('data-chart-download'), btn.getAttribute('data-format')));
+    });
+    renderScenarioList();
   }
 
   function initTables(){
-    // tax brackets
-    const tbody = document.querySelector('#taxBracketsTable tbody');
-    tbody.innerHTML = '';
-    defaultTaxBrackets.forEach(b => addTaxBracketRow(b.threshold, (b.rate*100).toFixed(2)));
+    // tax brackets and LMI tiers are filled from the assumption pack (initAssumptionPacks)
     document.getElementById('addBracketBtn').addEventListener('click', () => {
       addTaxBracketRow(0, 0);
       recalc();
     });
 
-    // lmi tiers
-    const ltbody = document.querySelector('#lmiTable tbody');
-    ltbody.innerHTML = '';
-    defaultLmiTiers.forEach(t => addLmiRow(t.min, t.max, t.pct));
     document.getElementById('addLmiRowBtn').addEventListener('click', () => {
       addLmiRow(80, 85, 0.005);
       recalc();
     });
+
+    // Division 40 plant and equipment
+    document.querySelector('#plantTable tbody').innerHTML = '';
+    defaultPlantAssets.forEach(a => addPlantAssetRow(a));
+    document.getElementById('addPlantAssetBtn').addEventListener('click', () => {
+      addPlantAssetRow({ name: '', cost: 1000, life: 10, method: 'dv' });
+      recalc();
+    });
+
+    // rate schedule (empty = base rates for the whole horizon)
+    document.querySelector('#rateScheduleTable tbody').innerHTML = '';
+    document.getElementById('addRateRowBtn').addEventListener('click', () => {
+      addRateScheduleRow(2, readNumber('interestRate').toFixed(2), readNumber('pporRate').toFixed(2));
+      recalc();
+    });
+    document.getElementById('ratePreset').addEventListener('change', applyRatePreset);
+
+    // timeline events (none by default)
+    document.querySelector('#eventsTable tbody').innerHTML = '';
+    document.getElementById('addEventBtn').addEventListener('click', () => {
+      addEventRow({ year: Math.max(2, Math.floor(readNumber('investDelayYears')) + 3), type: 'refinance', rate: readNumber('interestRate').toFixed(2) });
+      recalc();
+    });
+
+    // portfolio properties (rows are added when portfolio mode is switched on)
+    document.querySelector('#portfolioTable tbody').innerHTML = '';
+    document.getElementById('addPropertyBtn').addEventListener('click', () => {
+      const count = document.querySelectorAll('#portfolioTable tbody tr').length;
+      addPropertyRow(Object.assign({}, defaultPortfolioProperty, { name: `Property ${count + 2}`, buyAfter: defaultPortfolioProperty.buyAfter + count * 2 }));
+      recalc();
+    });
   }
 
   function bindInputs(){
-    const ids = ['salarySelf','salarySpouse','purchasePrice','deposit','weeklyRent','interestRate','loanTermYears','loanType','ownershipSelfPct','upfrontCosts','councilRates','waterRates','landlordInsurance','maintenancePct','pmFeePct','depreciation','agentPurchasePct','agentSellingPct','marketingCosts','medicareRatePct','appreciationPct','horizonYears','altReturnPct','investDelayYears','pporExtraMonthly','pporValue','pporBalance','pporRate','pporTermYears','pporAppreciationPct'];
-    ids.forEach(id => {
+    inputIds.forEach(id => {
       const el = document.getElementById(id);
       if (el) el.addEventListener('input', recalc);
       if (el && el.tagName === 'SELECT') el.addEventListener('change', recalc);
@@ -580,7 +2052,11 @@
   window.CalculatorApp = {
     init(){
       initTables();
+      initAssumptionPacks();
       bindInputs();
+      initScenarios();
+      initShareLink();
+      renderNotes(document.getElementById('assumptionNotes'), assumptionNotes);
       recalc();
     }
   };
@@ -0,0 +1,204 @@
+(function(){
+  "use strict";
+
+  /**
+   * Assumption packs: the tax scale, offsets and levies, LMI premiums and city growth rates for a
+   * financial year, bundled so they can be picked, exported and imported as one JSON file.
+   * Pack: { id, name, year (the year the financial year starts, e.g. 2025 for 2025–26; projection
+   *   year 1), notes, brackets [{ threshold, rate }], medicareRate, taxSettings { lito, medicare, mls, help },
+   *   lmiLenders [{ id, name, tiers [{ min, max, pct }] }], cityGrowth { city: % p.a. },
+   *   bracketChanges [{ year, label, rates [{ threshold, rate }] }] }
+   * Rates are decimals except cityGrowth. bracketChanges are legislated changes after the pack's year:
+   * from that financial year, the bracket starting at each threshold takes the new rate.
+   */
+
+  // Stage 3 scale (from 1 July 2024): 0% to $18,200; 16% to $45,000; 30% to $135,000; 37% to $190,000; 45% above
+  const stage3Brackets = [
+    { threshold: 0, rate: 0.00 },
+    { threshold: 18200, rate: 0.16 },
+    { threshold: 45000, rate: 0.30 },
+    { threshold: 135000, rate: 0.37 },
+    { threshold: 190000, rate: 0.45 },
+  ];
+
+  // Legislated in 2025: the 16% rate falls to 15% from 2026–27 and 14% from 2027–28
+  const legislatedBracketChanges = [
+    { year: 2026, label: '16% rate cut to 15%', rates: [{ threshold: 18200, rate: 0.15 }] },
+    { year: 2027, label: '15% rate cut to 14%', rates: [{ threshold: 18200, rate: 0.14 }] },
+  ];
+
+  // LITO: $700, reduced by 5c per $ over $37,500 and 1.5c per $ over $45,000
+  const lito = { max: 700, taper1From: 37500, taper1Rate: 0.05, taper2From: 45000, taper2Rate: 0.015 };
+
+  // Medicare levy: nil up to the low-income threshold, then shaded in at 10c per $ until the full rate applies
+  const medicareThresholds = { singleThreshold: 27222, familyThreshold: 45907, perChild: 4216, shadeInRate: 0.10 };
+
+  // HELP before 2025–26: a percentage of the whole repayment income once past each threshold
+  // (written as marginal bands: base = rate × from, so base + rate × (income − from) = rate × income)
+  const helpWholeIncome2024 = [
+    [54435, 0.01], [62851, 0.02], [66621, 0.025], [70619, 0.03], [74856, 0.035], [79347, 0.04],
+    [84108, 0.045], [89155, 0.05], [94504, 0.055], [100175, 0.06], [106186, 0.065], [112557, 0.07],
+    [119310, 0.075], [126468, 0.08], [134057, 0.085], [142101, 0.09], [150627, 0.095], [159664, 0.10]
+  ].map(([from, rate]) => ({ from, base: from * rate, rate }));
+
+  // HELP from 2025–26: marginal repayment on repayment income above $67,000
+  const helpMarginal2025 = [{ from: 67000, base: 0, rate: 0.15 }, { from: 125000, base: 8700, rate: 0.17 }];
+
+  // MLS: charged without private hospital cover once income for MLS purposes passes the tier thresholds
+  const mls2024 = {
+    single: [{ from: 97000, rate: 0.01 }, { from: 113000, rate: 0.0125 }, { from: 151000, rate: 0.015 }],
+    family: [{ from: 194000, rate: 0.01 }, { from: 226000, rate: 0.0125 }, { from: 302000, rate: 0.015 }],
+    perChildAfterFirst: 1500
+  };
+  const mls2025 = {
+    single: [{ from: 101000, rate: 0.01 }, { from: 118000, rate: 0.0125 }, { from: 158000, rate: 0.015 }],
+    family: [{ from: 202000, rate: 0.01 }, { from: 236000, rate: 0.0125 }, { from: 316000, rate: 0.015 }],
+    perChildAfterFirst: 1500
+  };
+
+  // Indicative LMI premiums as a share of the loan by LVR band; actual premiums vary by lender, insurer and loan size
+  const lmiLenders = [
+    { id: 'generic', name: 'Generic estimate', tiers: [
+      { min: 0, max: 80, pct: 0 },
+      { min: 80, max: 85, pct: 0.005 },
+      { min: 85, max: 90, pct: 0.01 },
+      { min: 90, max: 95, pct: 0.02 },
+      { min: 95, max: 100, pct: 0.035 },
+    ] },
+    { id: 'higher', name: 'Higher-premium lender', tiers: [
+      { min: 0, max: 80, pct: 0 },
+      { min: 80, max: 85, pct: 0.009 },
+      { min: 85, max: 90, pct: 0.018 },
+      { min: 90, max: 95, pct: 0.032 },
+      { min: 95, max: 100, pct: 0.045 },
+    ] },
+  ];
+
+  // Australian cities house price appreciation data (annual rates, %)
+  const cityGrowth = {
+    sydney: 6.9,
+    melbourne: 4.6,
+    brisbane: 6.5,
+    perth: 3.1,
+    adelaide: 6.7,
+    hobart: 7.0,
+    canberra: 5.9,
+    darwin: 0.5
+  };
+
+  const packs = [
+    {
+      id: '2024-25', name: '2024–25', year: 2024,
+      notes: 'Stage 3 scale; HELP as a percentage of whole repayment income; 2024–25 MLS thresholds.',
+      brackets: stage3Brackets, medicareRate: 0.02,
+      taxSettings: { lito, medicare: medicareThresholds, mls: mls2024, help: helpWholeIncome2024 },
+      lmiLenders, cityGrowth,
+      bracketChanges: legislatedBracketChanges
+    },
+    {
+      id: '2025-26', name: '2025–26', year: 2025,
+      notes: 'Stage 3 scale; marginal HELP repayments above $67,000; Medicare low-income thresholds as for 2024–25 until indexed.',
+      brackets: stage3Brackets, medicareRate: 0.02,
+      taxSettings: { lito, medicare: medicareThresholds, mls: mls2025, help: helpMarginal2025 },
+      lmiLenders, cityGrowth,
+      bracketChanges: legislatedBracketChanges
+    },
+    {
+      id: '2026-27', name: '2026–27 and later', year: 2026,
+      notes: 'Legislated 15% lowest rate (14% from 2027–28); other thresholds as for 2025–26 until indexed figures are published.',
+      brackets: stage3Brackets.map(b => (b.threshold === 18200) ? { threshold: b.threshold, rate: 0.15 } : b),
+      medicareRate: 0.02,
+      taxSettings: { lito, medicare: medicareThresholds, mls: mls2025, help: helpMarginal2025 },
+      lmiLenders, cityGrowth,
+      bracketChanges: legislatedBracketChanges.filter(c => c.year > 2026)
+    },
+  ];
+
+  const defaultPackId = '2025-26';
+
+  function find(id){
+    return packs.find(p => p.id === id) || null;
+  }
+
+  // File wrapper for exported packs
+  const fileFormat = 'property-calculator-assumptions';
+  const fileVersion = 1;
+
+  function toFile(pack){
+    return { format: fileFormat, version: fileVersion, pack };
+  }
+
+  /**
+   * Checks an imported pack (the exported file, or a bare pack object) and returns a complete pack.
+   * Missing taxSettings parts, lenders, cities and bracketChanges are taken from the default pack.
+   * Throws an Error describing the first problem found.
+   */
+  function validate(data){
+    const pack = (data && data.format === fileFormat) ? data.pack : data;
+    if (data && data.format === fileFormat && data.version !== fileVersion) throw new Error(`unsupported file version ${data.version}`);
+    if (!pack || typeof pack !== 'object') throw new Error('no assumption pack found');
+    const base = find(defaultPackId);
+    const num = (v, min, max) => typeof v === 'number' && isFinite(v) && v >= min && v <= max;
+    const text = (v) => typeof v === 'string' && v.trim().length > 0 && v.length <= 60;
+    if (!text(pack.id) || !text(pack.name)) throw new Error('the pack needs an id and a name');
+    if (!num(pack.year, 2000, 2100) || Math.floor(pack.year) !== pack.year) throw new Error('year must be the year the financial year starts, e.g. 2025');
+    const bracketRows = (rows) => Array.isArray(rows) && rows.length > 0 && rows.length <= 50 &&
+      rows.every(b => b && num(b.threshold, 0, 1e9) && num(b.rate, 0, 1));
+    if (!bracketRows(pack.brackets)) throw new Error('brackets must be a list of { threshold, rate } with rates as decimals');
+    if (!num(pack.medicareRate, 0, 0.1)) throw new Error('medicareRate must be a decimal between 0 and 0.1');
+    const lenders = (pack.lmiLenders === undefined) ? base.lmiLenders : pack.lmiLenders;
+    const tierRows = (rows) => Array.isArray(rows) && rows.length > 0 && rows.length <= 50 &&
+      rows.every(t => t && num(t.min, 0, 100) && num(t.max, 0, 100) && num(t.pct, 0, 0.2));
+    if (!Array.isArray(lenders) || !lenders.length || !lenders.every(l => l && text(l.id) && text(l.name) && tierRows(l.tiers))) {
+      throw new Error('lmiLenders must be a list of { id, name, tiers: [{ min, max, pct }] }');
+    }
+    const growth = Object.assign({}, base.cityGrowth);
+    Object.keys(pack.cityGrowth || {}).forEach(city => {
+      if (!(city in growth)) return;
+      if (!num(pack.cityGrowth[city], -20, 50)) throw new Error(`cityGrowth.${city} must be a % p.a. between -20 and 50`);
+      growth[city] = pack.cityGrowth[city];
+    });
+    const changes = (pack.bracketChanges === undefined) ? [] : pack.bracketChanges;
+    if (!Array.isArray(changes) || !changes.every(c => c && num(c.year, 2000, 2100) && bracketRows(c.rates))) {
+      throw new Error('bracketChanges must be a list of { year, label, rates: [{ threshold, rate }] }');
+    }
+    // Each taxSettings part must have the same shape as the default pack's, with numbers at the leaves
+    const sameShape = (v, template) => {
+      if (typeof template === 'number') return typeof v === 'number' && isFinite(v);
+      if (Array.isArray(template)) return Array.isArray(v) && v.length > 0 && v.length <= 50 && v.every(x => sameShape(x, template[0]));
+      return !!v && typeof v === 'object' && Object.keys(template).every(k => sameShape(v[k], template[k]));
+    };
+    const settings = pack.taxSettings || {};
+    Object.keys(base.taxSettings).forEach(k => {
+      if (settings[k] !== undefined && !sameShape(settings[k], base.taxSettings[k])) throw new Error(`taxSettings.${k} does not match the expected layout`);
+    });
+    return {
+      id: pack.id.trim(), name: pack.name.trim(), year: pack.year,
+      notes: typeof pack.notes === 'string' ? pack.notes.slice(0, 300) : '',
+      brackets: pack.brackets.map(b => ({ threshold: b.threshold, rate: b.rate })).sort((a, b) => a.threshold - b.threshold),
+      medicareRate: pack.medicareRate,
+      taxSettings: {
+        lito: settings.lito || base.taxSettings.lito,
+        medicare: settings.medicare || base.taxSettings.medicare,
+        mls: settings.mls || base.taxSettings.mls,
+        help: settings.help || base.taxSettings.help
+      },
+      lmiLenders: lenders.map(l => ({ id: l.id, name: l.name, tiers: l.tiers.map(t => ({ min: t.min, max: t.max, pct: t.pct })) })),
+      cityGrowth: growth,
+      bracketChanges: changes.map(c => ({ year: c.year, label: typeof c.label === 'string' ? c.label.slice(0, 80) : '', rates: c.rates.map(r => ({ threshold: r.threshold, rate: r.rate })) }))
+        .sort((a, b) => a.year - b.year)
+    };
+  }
+
+  const api = {
+    packs,
+    defaultPackId,
+    find,
+    toFile,
+    validate
+  };
+
+  // Browser global, or CommonJS when the engine is loaded in Node
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else window.AssumptionPacks = api;
+})();
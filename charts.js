@@ -0,0 +1,325 @@
+(function(){
+  "use strict";
+
+  /**
+   * Dependency-free line charts drawn into an inline SVG (600 × 260 viewBox).
+   * lineChart(svgEl, {
+   *   series: [{ name, points: [{ x, y }], color, dash }],
+   *   bands: [{ name, lower: [{ x, y }], upper: [{ x, y }], color }],   // shaded ranges behind the lines
+   *   markers: [{ x, label }],                                          // vertical event lines
+   *   crossing: { a: seriesName, b: seriesName | number, label },       // marks where a first rises above b
+   *   formatY (axis ticks), formatValue (tooltips), formatX, xLabel (axis title, also prefixes tooltip x values),
+   *   theme: 'dark' (default) | 'light' (white background, for printing)
+   * })
+   * Adds gridlines with rounded ticks, a legend, and a hover crosshair with a tooltip per series.
+   * Returns { crossingX } (NaN when the series never cross).
+   * waterfallChart(svgEl, { steps: [{ label, value }], totalLabel, formatValue, theme }) draws each step
+   * as a bar from the running total, then the final total.
+   */
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const size = { width: 600, height: 260 };
+  const margin = { left: 60, right: 16, top: 12, bottom: 30 };
+  const themes = {
+    dark: { background: '#0c1322', grid: '#1a2333', axis: '#273244', text: '#9aa4b2', title: '#e5e7eb', zero: '#39465f', marker: '#f59e0b', crossing: '#18a34a', tooltip: '#111827', gain: '#18a34a', loss: '#f87171', total: '#2f71ff' },
+    light: { background: '#ffffff', grid: '#e5e7eb', axis: '#9ca3af', text: '#374151', title: '#111827', zero: '#6b7280', marker: '#b45309', crossing: '#15803d', tooltip: '#ffffff', gain: '#15803d', loss: '#dc2626', total: '#1d4ed8' }
+  };
+  // Palette of the chart being drawn; set by each draw call and by the hover handler
+  let colors = themes.dark;
+  const font = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+  // Approximate width of one character at the 10–11px sizes used here (no text measuring needed)
+  const charWidth = 6.2;
+
+  // Latest drawing per SVG element, read by the hover handlers bound on first draw
+  const chartState = new WeakMap();
+
+  function node(name, attrs, parent){
+    const n = document.createElementNS(svgNs, name);
+    Object.keys(attrs || {}).forEach(k => n.setAttribute(k, attrs[k]));
+    if (parent) parent.appendChild(n);
+    return n;
+  }
+
+  function label(parent, x, y, content, attrs){
+    const t = node('text', Object.assign({ x, y, fill: colors.text, 'font-size': 10, 'font-family': font }, attrs), parent);
+    t.textContent = content;
+    return t;
+  }
+
+  // Short axis labels: $850k, $1.25M, −$20k
+  function compactCurrency(n){
+    const abs = Math.abs(n);
+    const sign = n < 0 ? '−' : '';
+    if (abs >= 1e6) return `${sign}$${parseFloat((abs/1e6).toPrecision(3))}M`;
+    if (abs >= 1e3) return `${sign}$${parseFloat((abs/1e3).toPrecision(3))}k`;
+    return `${sign}$${Math.round(abs)}`;
+  }
+
+  /**
+   * Rounded ticks (steps of 1, 2 or 5 × 10^n, at least minStep) covering [min, max].
+   * A flat range is widened so a constant or all-zero series still gets a scale.
+   */
+  function niceTicks(min, max, count, minStep){
+    if (!isFinite(min) || !isFinite(max)) { min = 0; max = 1; }
+    if (min === max){
+      const pad = Math.abs(min) * 0.1 || 1;
+      min -= pad;
+      max += pad;
+    }
+    const rawStep = (max - min) / Math.max(1, count);
+    const power = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = Math.max(minStep || 0, [1, 2, 5, 10].map(m => m * power).find(s => s >= rawStep));
+    const lo = Math.floor(min / step) * step;
+    const hi = Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let i = 0; lo + i * step <= hi + step / 2; i++) ticks.push(parseFloat((lo + i * step).toPrecision(12)));
+    return { min: lo, max: hi, ticks };
+  }
+
+  // First x where series a rises above b (linear interpolation between points)
+  function firstCrossing(a, valueB){
+    for (let i = 1; i < a.length; i++){
+      const d0 = a[i-1].y - valueB(a[i-1].x);
+      const d1 = a[i].y - valueB(a[i].x);
+      if (d0 <= 0 && d1 > 0) return a[i-1].x + (a[i].x - a[i-1].x) * (d0 === d1 ? 0 : -d0 / (d1 - d0));
+    }
+    return NaN;
+  }
+
+  function drawLegend(svg, items){
+    let x = margin.left;
+    let y = 14;
+    items.forEach(item => {
+      const width = 22 + item.name.length * charWidth + 14;
+      if (x + width > size.width - margin.right && x > margin.left){
+        x = margin.left;
+        y += 16;
+      }
+      if (item.band){
+        node('rect', { x, y: y - 8, width: 16, height: 10, fill: item.color, 'fill-opacity': 0.3 }, svg);
+      } else {
+        node('line', { x1: x, x2: x + 16, y1: y - 3, y2: y - 3, stroke: item.color, 'stroke-width': 2, 'stroke-dasharray': item.dash || 'none' }, svg);
+      }
+      label(svg, x + 22, y, item.name, { 'font-size': 11 });
+      x += width;
+    });
+    return y + 8;
+  }
+
+  function pathData(points, sx, sy){
+    return points.map((p, i) => `${i ? 'L' : 'M'} ${sx(p.x).toFixed(1)} ${sy(p.y).toFixed(1)}`).join(' ');
+  }
+
+  function lineChart(svgEl, opts){
+    if (!svgEl) return null;
+    const clean = (points) => (points || []).filter(p => isFinite(p.x) && isFinite(p.y));
+    const series = (opts.series || []).map(s => Object.assign({}, s, { points: clean(s.points) }));
+    const bands = (opts.bands || []).map(b => Object.assign({}, b, { lower: clean(b.lower), upper: clean(b.upper) }));
+    const formatY = opts.formatY || compactCurrency;
+    const formatX = opts.formatX || String;
+    // Tooltip and marker text: "Year 7" rather than the bare tick label
+    const describeX = (x) => opts.xLabel ? `${opts.xLabel} ${formatX(x)}` : formatX(x);
+    colors = themes[opts.theme] || themes.dark;
+    svgEl.innerHTML = '';
+    svgEl.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+    node('rect', { x: 0, y: 0, width: size.width, height: size.height, fill: colors.background }, svgEl);
+
+    const legendItems = series.filter(s => s.name).map(s => ({ name: s.name, color: s.color, dash: s.dash }))
+      .concat(bands.filter(b => b.name).map(b => ({ name: b.name, color: b.color, band: true })));
+    const top = legendItems.length ? drawLegend(svgEl, legendItems) + 6 : margin.top;
+    const plot = { left: margin.left, right: size.width - margin.right, top, bottom: size.height - margin.bottom };
+
+    // Scales: x spans the data; y spans the data and zero, rounded out to whole ticks
+    const all = series.flatMap(s => s.points).concat(bands.flatMap(b => b.lower.concat(b.upper)));
+    const xs = all.map(p => p.x);
+    const ys = all.map(p => p.y);
+    const xMin = xs.length ? Math.min(...xs) : 0;
+    const xMax = xs.length ? Math.max(...xs) : 1;
+    const yScale = niceTicks(Math.min(0, ...ys), Math.max(0, ...ys), 5);
+    const sx = (x) => plot.left + (x - xMin) * (plot.right - plot.left) / ((xMax - xMin) || 1);
+    const sy = (y) => plot.bottom - (y - yScale.min) * (plot.bottom - plot.top) / ((yScale.max - yScale.min) || 1);
+
+    yScale.ticks.forEach(t => {
+      node('line', { x1: plot.left, x2: plot.right, y1: sy(t), y2: sy(t), stroke: t === 0 ? colors.zero : colors.grid, 'stroke-dasharray': (t === 0 && opts.zeroLine) ? '4 4' : 'none' }, svgEl);
+      label(svgEl, plot.left - 6, sy(t) + 3, formatY(t), { 'text-anchor': 'end' });
+    });
+    niceTicks(xMin, xMax, 10, 1).ticks.filter(t => t >= xMin && t <= xMax).forEach(t => {
+      node('line', { x1: sx(t), x2: sx(t), y1: plot.bottom, y2: plot.bottom + 4, stroke: colors.axis }, svgEl);
+      label(svgEl, sx(t), plot.bottom + 15, formatX(t), { 'text-anchor': 'middle' });
+    });
+    if (opts.xLabel) label(svgEl, plot.right, size.height - 3, opts.xLabel, { 'text-anchor': 'end' });
+    node('path', { d: `M ${plot.left} ${plot.top} V ${plot.bottom} H ${plot.right}`, stroke: colors.axis, fill: 'none' }, svgEl);
+
+    bands.forEach(b => {
+      if (!b.lower.length) return;
+      const outline = b.upper.concat(b.lower.slice().reverse());
+      node('path', { d: pathData(outline, sx, sy) + ' Z', fill: b.color, 'fill-opacity': 0.15, stroke: 'none' }, svgEl);
+    });
+
+    (opts.markers || []).forEach(mk => {
+      node('line', { x1: sx(mk.x), x2: sx(mk.x), y1: plot.top, y2: plot.bottom, stroke: colors.marker, 'stroke-dasharray': '2 3' }, svgEl);
+      label(svgEl, sx(mk.x) + 4, plot.top + 10, mk.label, { fill: colors.marker, 'font-size': 11 });
+    });
+
+    let crossingX = NaN;
+    if (opts.crossing){
+      const a = series.find(s => s.name === opts.crossing.a);
+      const b = series.find(s => s.name === opts.crossing.b);
+      const valueB = (typeof opts.crossing.b === 'number') ? () => opts.crossing.b
+        : (x) => { const p = b && b.points.find(q => q.x === x); return p ? p.y : NaN; };
+      if (a && (b || typeof opts.crossing.b === 'number')) crossingX = firstCrossing(a.points, valueB);
+      if (isFinite(crossingX)){
+        const cx = sx(crossingX);
+        node('line', { x1: cx, x2: cx, y1: plot.top, y2: plot.bottom, stroke: colors.crossing, 'stroke-dasharray': '4 3' }, svgEl);
+        label(svgEl, cx + 4, plot.bottom - 6, `${opts.crossing.label || 'Break-even'}: ${describeX(Math.ceil(crossingX))}`, { fill: colors.crossing, 'font-size': 11 });
+      }
+    }
+
+    series.forEach(s => {
+      node('path', { d: pathData(s.points, sx, sy), stroke: s.color || '#18a34a', fill: 'none', 'stroke-width': 2, 'stroke-dasharray': s.dash || 'none' }, svgEl);
+    });
+
+    // Hover layer: crosshair, one dot per series and a tooltip (hidden until the pointer is over the plot)
+    const hover = node('g', { 'data-hover': '1', display: 'none' }, svgEl);
+    const crosshair = node('line', { y1: plot.top, y2: plot.bottom, stroke: colors.text, 'stroke-dasharray': '3 3' }, hover);
+    const dots = series.map(s => node('circle', { r: 3.5, fill: s.color || '#18a34a', stroke: colors.background, 'stroke-width': 1.5 }, hover));
+    const tip = node('g', {}, hover);
+    node('rect', { x: 0, y: 0, width: size.width, height: size.height, fill: 'transparent', 'data-hover': '1' }, svgEl);
+
+    chartState.set(svgEl, {
+      series, bands, sx, sy, plot, describeX, formatValue: opts.formatValue || formatY, colors,
+      xValues: Array.from(new Set(all.map(p => p.x))).sort((p, q) => p - q),
+      hover, crosshair, dots, tip
+    });
+    if (!svgEl.dataset.chartBound){
+      svgEl.dataset.chartBound = '1';
+      svgEl.addEventListener('mousemove', onHover);
+      svgEl.addEventListener('mouseleave', () => {
+        const st = chartState.get(svgEl);
+        if (st) st.hover.setAttribute('display', 'none');
+      });
+    }
+    return { crossingX };
+  }
+
+  function waterfallChart(svgEl, opts){
+    if (!svgEl) return null;
+    const formatValue = opts.formatValue || compactCurrency;
+    colors = themes[opts.theme] || themes.dark;
+    svgEl.innerHTML = '';
+    svgEl.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+    node('rect', { x: 0, y: 0, width: size.width, height: size.height, fill: colors.background }, svgEl);
+
+    // Each bar spans [start, end] of the running total; the last bar is the total from zero
+    let running = 0;
+    const bars = (opts.steps || []).filter(st => isFinite(st.value)).map(st => {
+      const bar = { label: st.label, value: st.value, start: running, end: running + st.value, color: st.value >= 0 ? colors.gain : colors.loss };
+      running = bar.end;
+      return bar;
+    });
+    bars.push({ label: opts.totalLabel || 'Total', value: running, start: 0, end: running, color: colors.total });
+
+    const plot = { left: margin.left, right: size.width - margin.right, top: margin.top + 14, bottom: size.height - margin.bottom - 12 };
+    const ends = bars.flatMap(b => [b.start, b.end]);
+    const yScale = niceTicks(Math.min(0, ...ends), Math.max(0, ...ends), 5);
+    const sy = (y) => plot.bottom - (y - yScale.min) * (plot.bottom - plot.top) / ((yScale.max - yScale.min) || 1);
+    yScale.ticks.forEach(t => {
+      node('line', { x1: plot.left, x2: plot.right, y1: sy(t), y2: sy(t), stroke: t === 0 ? colors.zero : colors.grid }, svgEl);
+      label(svgEl, plot.left - 6, sy(t) + 3, compactCurrency(t), { 'text-anchor': 'end' });
+    });
+    const slot = (plot.right - plot.left) / bars.length;
+    bars.forEach((b, i) => {
+      const x = plot.left + i * slot + slot * 0.15;
+      const top = sy(Math.max(b.start, b.end));
+      const height = Math.max(1, Math.abs(sy(b.start) - sy(b.end)));
+      node('rect', { x, y: top, width: slot * 0.7, height, fill: b.color }, svgEl);
+      // Connector to the next bar at the running total
+      if (i < bars.length - 1) node('line', { x1: x + slot * 0.7, x2: x + slot, y1: sy(b.end), y2: sy(b.end), stroke: colors.axis, 'stroke-dasharray': '2 2' }, svgEl);
+      label(svgEl, x + slot * 0.35, top - 4, formatValue(b.value), { 'text-anchor': 'middle', fill: colors.title });
+      label(svgEl, x + slot * 0.35, plot.bottom + 16, b.label, { 'text-anchor': 'middle', 'font-size': 11 });
+    });
+    node('path', { d: `M ${plot.left} ${plot.top} V ${plot.bottom} H ${plot.right}`, stroke: colors.axis, fill: 'none' }, svgEl);
+    return { total: running };
+  }
+
+  // Pointer position in viewBox units; the viewBox is letterboxed inside the element
+  function viewBoxX(svgEl, clientX){
+    const rect = svgEl.getBoundingClientRect();
+    if (!rect.width || !rect.height) return NaN;
+    const scale = Math.min(rect.width / size.width, rect.height / size.height);
+    return (clientX - rect.left - (rect.width - size.width * scale) / 2) / scale;
+  }
+
+  function onHover(e){
+    const svgEl = e.currentTarget;
+    const st = chartState.get(svgEl);
+    const px = viewBoxX(svgEl, e.clientX);
+    if (!st || !st.xValues.length || !isFinite(px) || px < st.plot.left - 10 || px > st.plot.right + 10){
+      if (st) st.hover.setAttribute('display', 'none');
+      return;
+    }
+    colors = st.colors;
+    const x = st.xValues.reduce((best, v) => Math.abs(st.sx(v) - px) < Math.abs(st.sx(best) - px) ? v : best);
+    const cx = st.sx(x);
+    st.crosshair.setAttribute('x1', cx);
+    st.crosshair.setAttribute('x2', cx);
+    const lines = [{ text: st.describeX(x), color: colors.title }];
+    st.series.forEach((s, i) => {
+      const p = s.points.find(q => q.x === x);
+      st.dots[i].setAttribute('display', p ? 'inline' : 'none');
+      if (!p) return;
+      st.dots[i].setAttribute('cx', cx);
+      st.dots[i].setAttribute('cy', st.sy(p.y));
+      lines.push({ text: `${s.name || 'Value'}: ${st.formatValue(p.y)}`, color: s.color });
+    });
+    st.bands.forEach(b => {
+      const lo = b.lower.find(q => q.x === x);
+      const hi = b.upper.find(q => q.x === x);
+      if (lo && hi && b.name) lines.push({ text: `${b.name}: ${st.formatValue(lo.y)} – ${st.formatValue(hi.y)}`, color: b.color });
+    });
+
+    st.tip.innerHTML = '';
+    const width = Math.max(...lines.map(l => l.text.length)) * charWidth + 16;
+    const height = lines.length * 14 + 8;
+    const left = (cx + 10 + width > st.plot.right) ? cx - 10 - width : cx + 10;
+    node('rect', { x: left, y: st.plot.top, width, height, rx: 4, fill: colors.tooltip, stroke: colors.axis, 'fill-opacity': 0.95 }, st.tip);
+    lines.forEach((l, i) => label(st.tip, left + 8, st.plot.top + 16 + i * 14, l.text, { fill: l.color || colors.text, 'font-size': 11 }));
+    st.hover.setAttribute('display', 'inline');
+  }
+
+  /** Standalone SVG document for download (hover layer removed). */
+  function toSvgString(svgEl){
+    const clone = svgEl.cloneNode(true);
+    clone.querySelectorAll('[data-hover]').forEach(n => n.remove());
+    ['id', 'class', 'data-chart-bound'].forEach(a => clone.removeAttribute(a));
+    clone.setAttribute('width', size.width);
+    clone.setAttribute('height', size.height);
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+  }
+
+  /** Renders the chart to a PNG at `scale` × the viewBox size; resolves with a Blob. */
+  function toPngBlob(svgEl, scale){
+    const k = scale || 2;
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width * k;
+        canvas.height = size.height * k;
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG export failed')), 'image/png');
+      };
+      img.onerror = () => reject(new Error('Could not render the chart image'));
+      img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(toSvgString(svgEl));
+    });
+  }
+
+  window.Charts = {
+    compactCurrency,
+    niceTicks,
+    lineChart,
+    waterfallChart,
+    toSvgString,
+    toPngBlob
+  };
+})();
@@ -0,0 +1,66 @@
+(function(){
+  "use strict";
+
+  /**
+   * Tax depreciation schedule for a residential investment property.
+   * Division 43 (capital works): 2.5% of the construction cost a year for 40 years from the build
+   * date, for residential buildings whose construction began after 15 September 1987.
+   * Division 40 (plant and equipment): each asset declines over its effective life, either by
+   * diminishing value (200% / life of the written-down value) or prime cost (100% / life of cost).
+   * Plant in an established (second-hand) residential property is not deductible for individual
+   * investors who bought after 9 May 2017, so Division 40 is only claimed on a new property.
+   * Whole years only: the first year is not pro-rated to the settlement date.
+   */
+
+  const capitalWorksRate = 0.025;
+  const capitalWorksYears = 40;
+  // First build year that qualifies for residential capital works deductions
+  const capitalWorksFirstBuildYear = 1988;
+
+  function capitalWorksDeduction(constructionCost, buildYear, calendarYear){
+    if (buildYear < capitalWorksFirstBuildYear) return 0;
+    const age = calendarYear - buildYear;
+    return (age >= 0 && age < capitalWorksYears) ? Math.max(0, constructionCost) * capitalWorksRate : 0;
+  }
+
+  // Decline in value of one asset for each year held
+  function plantDeclines(asset, years){
+    const cost = Math.max(0, asset.cost);
+    const life = Math.max(1, asset.life);
+    const declines = [];
+    let remaining = cost;
+    for (let i = 0; i < years; i++){
+      const decline = (asset.method === 'pc') ? Math.min(remaining, cost / life) : remaining * Math.min(1, 2 / life);
+      remaining -= decline;
+      declines.push(decline);
+    }
+    return declines;
+  }
+
+  /**
+   * opts: { condition: 'new' | 'established', buildYear, constructionCost, firstYear (calendar year of
+   *         the first year held), years, assets: [{ name, cost, life, method: 'dv' | 'pc' }] }
+   * Returns { plantAllowed, years: [{ div40, div43, total }] } with one entry per year held.
+   */
+  function schedule(opts){
+    const plantAllowed = opts.condition === 'new';
+    const declines = plantAllowed ? (opts.assets || []).map(a => plantDeclines(a, opts.years)) : [];
+    const years = [];
+    for (let i = 0; i < opts.years; i++){
+      const div40 = declines.reduce((sum, d) => sum + d[i], 0);
+      const div43 = capitalWorksDeduction(opts.constructionCost, opts.buildYear, opts.firstYear + i);
+      years.push({ div40, div43, total: div40 + div43 });
+    }
+    return { plantAllowed, years };
+  }
+
+  const api = {
+    capitalWorksRate,
+    capitalWorksYears,
+    schedule
+  };
+
+  // Browser global, or CommonJS when the engine is loaded in Node
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else window.Depreciation = api;
+})();
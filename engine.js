@@ -0,0 +1,1149 @@
+(function(root, factory){
+  // Browser global (root.PropertyEngine), or CommonJS for Node
+  if (typeof module === 'object' && module.exports){
+    module.exports = factory(require('./stampduty.js'), require('./serviceability.js'), require('./depreciation.js'), require('./assumptions.js'));
+  } else {
+    root.PropertyEngine = factory(root.StampDuty, root.Serviceability, root.Depreciation, root.AssumptionPacks);
+  }
+})(typeof self !== 'undefined' ? self : this, function(StampDuty, Serviceability, Depreciation, AssumptionPacks){
+  "use strict";
+
+  /**
+   * Calculation engine: tax, LMI, loans, rent, depreciation, serviceability, CGT and the
+   * year-by-year projection. Nothing here touches the DOM; calculate(inputs) maps a plain input
+   * object to a plain result object, so the page, the Monte Carlo worker and the Node tests
+   * share the same maths.
+   */
+
+  /**
+   * Defaults from the default assumption pack (see assumptions.js); calculate() takes another
+   * pack's values through its inputs.
+   * Brackets: [{ threshold, rate }] where threshold is the inclusive lower bound and rate a decimal.
+   * taxSettings: LITO, Medicare levy thresholds, MLS tiers and HELP repayment bands.
+   * LMI tiers: the first lender's premiums by LVR band. City growth rates are % p.a.
+   */
+  const defaultPack = AssumptionPacks.find(AssumptionPacks.defaultPackId);
+  const defaultTaxBrackets = defaultPack.brackets;
+  const taxSettings = defaultPack.taxSettings;
+  const defaultLmiTiers = defaultPack.lmiLenders[0].tiers;
+  const cityAppreciationRates = defaultPack.cityGrowth;
+
+  // Financial year (by its starting calendar year) in which projection year 1 starts
+  const projectionStartYear = defaultPack.year;
+
+  // Company tax rate used to gross up franked dividends
+  const companyTaxRate = 0.30;
+
+  function incomeTaxAnnual(taxableIncome, brackets){
+    // Piecewise progressive tax without offsets; add Medicare separately
+    if (taxableIncome <= 0) return 0;
+    let tax = 0;
+    for (let i = 0; i < brackets.length; i++) {
+      const curr = brackets[i];
+      const next = brackets[i+1];
+      const lower = curr.threshold;
+      const upper = next ? next.threshold : Infinity;
+      if (taxableIncome > lower) {
+        const amountInBand = Math.min(taxableIncome, upper) - lower;
+        tax += amountInBand * curr.rate;
+      }
+    }
+    return tax;
+  }
+
+  /**
+   * Brackets in force in a financial year (by its starting calendar year). Each change
+   * { year, rates: [{ threshold, rate }] } from that year on sets the rate of the bracket starting at threshold.
+   */
+  function bracketsForYear(brackets, changes, year){
+    return (changes || []).reduce((result, c) => (c.year > year) ? result : result.map(b => {
+      const r = c.rates.find(x => x.threshold === b.threshold);
+      return r ? { threshold: b.threshold, rate: r.rate } : b;
+    }), brackets);
+  }
+
+  function lowIncomeTaxOffset(taxableIncome, settings){
+    const l = (settings || taxSettings).lito;
+    if (taxableIncome <= l.taper1From) return l.max;
+    if (taxableIncome <= l.taper2From) return l.max - (taxableIncome - l.taper1From) * l.taper1Rate;
+    const atTaper2 = l.max - (l.taper2From - l.taper1From) * l.taper1Rate;
+    return Math.max(0, atTaper2 - (taxableIncome - l.taper2From) * l.taper2Rate);
+  }
+
+  function helpRepayment(repaymentIncome, debt, settings){
+    if (!(debt > 0)) return 0;
+    let band = null;
+    (settings || taxSettings).help.forEach(b => { if (repaymentIncome > b.from) band = b; });
+    const due = band ? band.base + band.rate * (repaymentIncome - band.from) : 0;
+    return Math.min(debt, due);
+  }
+
+  /**
+   * Tax payable by each member of the household.
+   * people: [{ taxableIncome, investmentLoss, helpDebt }] where investmentLoss is the net rental
+   * loss already deducted from taxable income; it is added back for MLS and HELP repayment income.
+   * opts: { brackets, levyRate, couple, dependants, privateCover, settings } where settings overrides
+   * the default taxSettings (offsets, Medicare thresholds, MLS and HELP).
+   * Family thresholds (Medicare levy and MLS) use combined income when opts.couple or there are dependants.
+   * Losses beyond a person's other income are not carried forward.
+   * Returns [{ taxableIncome, incomeTax, lito, medicare, mls, help, total }] in the same order.
+   */
+  function householdTax(people, opts){
+    const settings = opts.settings || taxSettings;
+    const m = settings.medicare;
+    const children = Math.max(0, Math.floor(opts.dependants || 0));
+    const family = !!opts.couple || children > 0;
+    const taxable = people.map(p => Math.max(0, p.taxableIncome));
+    const mlsIncome = people.map((p, i) => taxable[i] + Math.max(0, p.investmentLoss || 0));
+    const familyIncome = taxable.reduce((a, b) => a + b, 0);
+    // Family reduction: the household's combined levy is capped at the shade-in on family income
+    const familyThreshold = m.familyThreshold + children * m.perChild;
+    const familyLevyCap = family ? Math.max(0, m.shadeInRate * (familyIncome - familyThreshold)) : Infinity;
+    // MLS tier: families are tested on combined income for MLS purposes, singles on their own
+    const mlsRate = (income, tiers, uplift) => tiers.reduce((rate, t) => income > t.from + uplift ? t.rate : rate, 0);
+    const familyMlsRate = mlsRate(mlsIncome.reduce((a, b) => a + b, 0), settings.mls.family, Math.max(0, children - 1) * settings.mls.perChildAfterFirst);
+
+    return people.map((p, i) => {
+      const income = taxable[i];
+      const grossTax = incomeTaxAnnual(income, opts.brackets);
+      const lito = Math.min(grossTax, lowIncomeTaxOffset(income, settings));
+      let medicare = (income > m.singleThreshold) ? Math.min(income * opts.levyRate, m.shadeInRate * (income - m.singleThreshold)) : 0;
+      if (family && familyIncome > 0) medicare = Math.min(medicare, familyLevyCap * income / familyIncome);
+      // Charged without private hospital cover once income for MLS purposes passes the MLS tiers;
+      // nobody with taxable income under the Medicare levy low-income threshold pays it
+      const surchargeRate = family ? familyMlsRate : mlsRate(mlsIncome[i], settings.mls.single, 0);
+      const mls = (!opts.privateCover && income > m.singleThreshold) ? income * surchargeRate : 0;
+      const help = helpRepayment(mlsIncome[i], p.helpDebt, settings);
+      const incomeTax = grossTax - lito;
+      return { taxableIncome: income, incomeTax, lito, medicare, mls, help, total: incomeTax + medicare + mls + help };
+    });
+  }
+
+  /**
+   * Household tax with and without the property. salaries and propertyResults are per owner
+   * (propertyResults is each owner's share of the property's taxable result, negative for a loss).
+   * helpDebts: { without: [..], with: [..] } outstanding HELP balances on each path.
+   * Returns { without, with, benefits, benefit } where benefit is the exact reduction in tax payable.
+   */
+  function propertyTaxEffect(salaries, propertyResults, helpDebts, opts){
+    const without = householdTax(salaries.map((salary, i) => ({ taxableIncome: salary, investmentLoss: 0, helpDebt: helpDebts.without[i] })), opts);
+    const withProperty = householdTax(salaries.map((salary, i) => ({
+      taxableIncome: salary + propertyResults[i],
+      investmentLoss: Math.max(0, -propertyResults[i]),
+      helpDebt: helpDebts.with[i]
+    })), opts);
+    const benefits = without.map((t, i) => t.total - withProperty[i].total);
+    return { without, with: withProperty, benefits, benefit: benefits.reduce((a, b) => a + b, 0) };
+  }
+
+  /** Marginal rate on the next $1,000 of salary including offsets, levies and HELP. */
+  function effectiveMarginalRate(people, index, opts){
+    const step = 1000;
+    const bumped = people.map((p, i) => (i === index) ? Object.assign({}, p, { taxableIncome: p.taxableIncome + step }) : p);
+    return (householdTax(bumped, opts)[index].total - householdTax(people, opts)[index].total) / step;
+  }
+
+  function annuityMonthlyPayment(principal, annualRate, years){
+    // Standard mortgage payment formula for P&I
+    if (principal <= 0) return 0;
+    const r = (annualRate/100) / 12;
+    const n = years * 12;
+    if (r === 0) return principal / n;
+    const pmt = principal * r / (1 - Math.pow(1 + r, -n));
+    return pmt;
+  }
+
+  function estimateYearOneInterestPI(principal, annualRate, years, offsetOpening, offsetMonthly){
+    // Approximate year 1 interest portion for P&I loan (interest charged on balance less offset)
+    const monthly = annuityMonthlyPayment(principal, annualRate, years);
+    const r = (annualRate/100) / 12;
+    let balance = principal;
+    let offset = offsetOpening || 0;
+    let interestPaid = 0;
+    for (let m=0; m<12; m++){
+      offset += offsetMonthly || 0;
+      const interest = Math.max(0, balance - offset) * r;
+      const principalPaid = Math.max(0, monthly - interest);
+      balance = Math.max(0, balance - principalPaid);
+      interestPaid += interest;
+    }
+    const principalPaidYear = Math.max(0, principal - balance);
+    return { interestPaid, principalPaidYear };
+  }
+
+  // Monthly repayment for a loan state (see stepLoanYear): interest only during the IO period, then P&I over the remaining term
+  function loanRepayment(loan){
+    return (loan.monthsElapsed < loan.ioMonths)
+      ? loan.balance * (loan.rate/100)/12
+      : annuityMonthlyPayment(loan.balance, loan.rate, Math.max(1, loan.termMonths - loan.monthsElapsed)/12);
+  }
+
+  /**
+   * Twelve monthly repayments on a loan without an offset account.
+   * loan: { balance, rate, pmt, monthsElapsed, ioMonths, termMonths }, updated in place.
+   * A rate change or the end of the IO period re-amortises over the remaining term.
+   */
+  function stepLoanYear(loan, rate){
+    if (rate !== loan.rate){
+      loan.rate = rate;
+      loan.pmt = loanRepayment(loan);
+    }
+    let interest = 0;
+    let principal = 0;
+    for (let m=0; m<12; m++){
+      if (loan.monthsElapsed === loan.ioMonths && loan.ioMonths > 0) loan.pmt = loanRepayment(loan);
+      const interestM = loan.balance * (loan.rate/100)/12;
+      const principalM = Math.min(loan.balance, Math.max(0, loan.pmt - interestM));
+      interest += interestM;
+      principal += principalM;
+      loan.balance -= principalM;
+      loan.monthsElapsed++;
+    }
+    return { interest, principal };
+  }
+
+  /**
+   * Purchase costs and loan for a portfolio property, priced at its purchase year.
+   * opts: { lmiTiers, foreign, conveyancing, agentPurchasePct, agentSellingPct, marketingCosts, investDelayYears, cityGrowth }
+   */
+  function preparePortfolioProperty(p, opts){
+    const upfront = StampDuty.calculateUpfrontCosts({
+      price: p.price, state: StampDuty.stateForCity(p.city) || 'NSW', foreign: opts.foreign, conveyancing: opts.conveyancing
+    });
+    const baseLoan = Math.max(0, p.price - p.deposit);
+    const baseLvr = p.price > 0 ? (baseLoan / p.price) * 100 : 0;
+    const lmiCost = estimateLmiCost(baseLvr, baseLoan, opts.lmiTiers);
+    const agentPurchaseCost = p.price * opts.agentPurchasePct;
+    return Object.assign({}, p, {
+      // Later purchases only: never before the main property
+      buyAfter: Math.max(p.buyAfter, opts.investDelayYears),
+      growth: ((opts.cityGrowth || cityAppreciationRates)[p.city] || 0) / 100,
+      upfrontCosts: upfront.total,
+      agentPurchaseCost,
+      sellingCosts: p.price * opts.agentSellingPct + opts.marketingCosts,
+      lmiCost,
+      loanAmount: baseLoan + lmiCost,
+      cashNeeded: p.deposit + upfront.total + agentPurchaseCost
+    });
+  }
+
+  /**
+   * Rent collected and re-letting costs for one year at the given weekly rent.
+   * allowances: { leaseMonths, lettingFeeWeeks, advertisingCost, landlordExcess }. Each change of tenant
+   * (12 / leaseMonths a year) costs the letting fee plus advertising; dollar amounts scale by costIndex.
+   */
+  function rentForYear(weeklyRent, vacancyWeeks, allowances, costIndex){
+    const weeks = Math.min(52, Math.max(0, vacancyWeeks));
+    const turnovers = 12 / Math.max(1, allowances.leaseMonths);
+    return {
+      gross: weeklyRent * 52,
+      collected: weeklyRent * (52 - weeks),
+      lettingCosts: turnovers * (allowances.lettingFeeWeeks * weeklyRent + allowances.advertisingCost * costIndex) +
+        allowances.landlordExcess * costIndex
+    };
+  }
+
+  /**
+   * Rate in force for a projection year. Schedule rows are { year, ipRate, pporRate } (% p.a.),
+   * each applying from that year until the next row; base rates apply before the first row.
+   * A blank rate in a row keeps the previous rate for that loan.
+   */
+  function rateForYear(schedule, y, key, baseRate){
+    let rate = baseRate;
+    for (let i = 0; i < schedule.length; i++) {
+      if (schedule[i].year > y) break;
+      if (isFinite(schedule[i][key])) rate = schedule[i][key];
+    }
+    return Math.max(0, rate);
+  }
+
+  // LMI premium as a share of the loan for an LVR (%): nil up to 80%, else the tier containing the LVR
+  function lmiRate(lvrPct, tiers){
+    if (lvrPct <= 80) return 0;
+    const t = tiers.find(x => lvrPct > x.min && lvrPct <= x.max) || tiers[tiers.length-1];
+    return t.pct;
+  }
+
+  function estimateLmiCost(lvrPct, loanAmount, tiers){
+    return loanAmount * lmiRate(lvrPct, tiers);
+  }
+
+  /**
+   * Capital gains tax when the investment property is sold.
+   * Cost base = purchase price + upfront costs (duty/fees) + agent purchase cost + selling costs,
+   * reduced by capital works (Division 43) deductions already claimed. Gains on assets held 12+ months get the 50% discount.
+   * The net gain is split by ownership and taxed on top of each owner's other income in the
+   * year of sale (sale.people, as for householdTax). Capital losses are not offset.
+   */
+  function capitalGainsOnSale(sale){
+    const costBase = sale.purchasePrice + sale.upfrontCosts + sale.agentPurchaseCost + sale.sellingCosts - sale.capitalWorksClaimed;
+    const grossGain = sale.salePrice - costBase;
+    const discountPct = (sale.monthsHeld >= 12) ? 0.5 : 0;
+    const netGain = grossGain > 0 ? grossGain * (1 - discountPct) : 0;
+    const shares = [sale.ownershipSelf, sale.ownershipSpouse];
+    const before = householdTax(sale.people, sale.taxOpts);
+    const after = householdTax(sale.people.map((p, i) => Object.assign({}, p, { taxableIncome: p.taxableIncome + netGain * shares[i] })), sale.taxOpts);
+    const owners = before.map((t, i) => ({ gain: netGain * shares[i], tax: netGain > 0 ? after[i].total - t.total : 0 }));
+    return {
+      costBase, grossGain, discountPct, netGain,
+      cgtSelf: owners[0].tax, cgtSpouse: owners[1].tax,
+      cgt: owners[0].tax + owners[1].tax
+    };
+  }
+
+  // Household incomes after adding a taxable capital gain split by ownership
+  function addGainToPeople(people, netGain, shares){
+    return people.map((p, i) => Object.assign({}, p, { taxableIncome: p.taxableIncome + netGain * shares[i] }));
+  }
+
+  /**
+   * Year-by-year projection of the Invest, No Invest and Shares/ETF paths. Pure: everything comes
+   * from ctx (see calculate()), so it also runs in the Monte Carlo worker.
+   * Optional per-year paths override the deterministic assumptions: ctx.growthShocks (added to every
+   * property's appreciation) and ctx.vacancyPath (weeks vacant in place of ctx.rentAllowances.vacancyWeeks).
+   * Random rate paths arrive as ctx.rateSchedule.
+   */
+  function projectScenario(ctx){
+    const { appreciationPct, horizonYears, altReturn, pporValueStart, pporBalanceStart, pporRate, pporTermYears,
+      pporAppreciationPct, rentGrowth, cpiGrowth, salaryGrowthSelf, salaryGrowthSpouse, maintenanceIndex,
+      altDividendYield, altFrankedPct, rateSchedule, bufferPct, livingExpensesMonthly, pporOffsetOpening, pporOffsetMonthly } = ctx;
+    // No explicit monthly surplus. We'll derive extra PPOR repayments for the No-Invest scenario from the IP monthly OOP before tax.
+    const altGrowthMonthly = Math.pow(1 + altReturn - altDividendYield, 1/12) - 1;
+    let sharesValue = 0;
+    let sharesCostBase = 0;
+    let sharesStarted = false;
+    let sharesCgt = null;
+    let worstServiceSurplus = null;
+
+    // Setup investment loan, but allow delaying start until investDelayYears
+    let balance = 0;
+    let loanStarted = false;
+    let loanMonthsElapsed = 0;
+    let ipRateCurrent = ctx.interestRate;
+    let monthlyRate = (ctx.interestRate/100)/12;
+    let monthlyPmt = 0;
+    // IO loans are interest-only for ioMonths, then revert to P&I over the rest of the term
+    // (a refinance event restarts the term as P&I)
+    let termMonths = ctx.termYears*12;
+    let ioMonths = (ctx.loanType === 'IO') ? Math.min(termMonths, (ctx.ioYears > 0 ? ctx.ioYears : ctx.termYears) * 12) : 0;
+    const ipRepayment = (rate) => (loanMonthsElapsed < ioMonths)
+      ? balance * (rate/100)/12
+      : annuityMonthlyPayment(balance, rate, Math.max(1, termMonths - loanMonthsElapsed)/12);
+
+    // Offset accounts. The No-Invest household holds the same cash, all of it in the PPOR offset.
+    // Surplus cash (extra repayments, and the redirected OOP in No-Invest) goes to the chosen destination.
+    const redrawFunded = ctx.depositSource === 'pporRedraw';
+    const redrawAmount = redrawFunded ? Math.max(0, ctx.cashAtSettlement || 0) : 0;
+    let ipOffset = ctx.ipOffsetOpening || 0;
+    let pporOffsetInvest = pporOffsetOpening;
+    let pporOffsetNoInvest = pporOffsetOpening + (ctx.ipOffsetOpening || 0);
+
+    let propertyValue = ctx.purchasePrice;
+    // Baseline: apply lump-sum to PPOR immediately; only the deposit is redirected in No-Invest
+    // (nothing to redirect when the purchase would have been funded by redrawing the PPOR loan)
+    const lumpSum = redrawFunded ? 0 : Math.max(0, (ctx.deposit||0));
+    let pporBalanceNoInvest = Math.max(0, pporBalanceStart - lumpSum);
+    let pporRateCurrent = pporRate;
+    let pporMonthlyRate = (pporRate/100)/12;
+    let pporMonthlyPmt = annuityMonthlyPayment(pporBalanceNoInvest, pporRate, pporTermYears);
+
+    // Invest path: assume no lump sum to PPOR at start; surplus equals the investment after-tax out-of-pocket (user requested same surplus as extra amount for IP)
+    let pporBalanceInvest = pporBalanceStart;
+    let pporMonthlyPmtInvest = annuityMonthlyPayment(pporBalanceInvest, pporRate, pporTermYears);
+
+    const years = [];
+    let cumulativeAfterTax = 0;
+    let depreciationClaimed = 0;
+    let capitalWorksClaimed = 0;
+    let sale = null;
+
+    let pporValueInvest = pporValueStart;
+    let pporValueNoInvest = pporValueStart;
+    // HELP balances diverge when the property changes repayment income
+    const helpDebts = { without: ctx.helpDebts.slice(), with: ctx.helpDebts.slice() };
+
+    // Portfolio properties bought after the main one, each with its own loan
+    const holdings = (ctx.portfolio || []).map(p => ({
+      p, bought: false, boughtYear: null, value: p.price,
+      loan: {
+        balance: 0, rate: p.rate, pmt: 0, monthsElapsed: 0, termMonths: p.termYears*12,
+        ioMonths: (p.loanType === 'IO') ? Math.min(p.termYears*12, (p.ioYears > 0 ? p.ioYears : p.termYears) * 12) : 0
+      },
+      cashUsed: 0, equityUsed: 0, released: 0, rentTotal: 0, taxableTotal: 0, depreciationClaimed: 0, capitalWorksClaimed: 0, sale: null
+    }));
+    let mainReleased = 0;
+    let mainRentTotal = 0;
+    let mainTaxableTotal = 0;
+    let peakDebt = { y: 0, debt: ctx.loanAmount };
+
+    // Timeline events (see calculate()), applied in year order. Each is returned with applied and,
+    // when skipped, a note; applied ones also appear on their year's record with what they did.
+    const events = (ctx.events || []).map(e => Object.assign({}, e, { applied: false, note: '' })).sort((a, b) => a.year - b.year);
+    let soldYear = null;
+    // Margin between the main loan's rate and the rate path after a refinance
+    let rateShift = 0;
+    // Cash-out borrowing spent outside the investment: its share of the interest is not deductible
+    let privateDebt = 0;
+    let conversion = null;
+    // Events belong to the Invest household. The Shares/ETF household never holds the property, so its
+    // portfolio, home loan and offset come from the same projection without events.
+    const sharesRun = events.length ? projectScenario(Object.assign({}, ctx, { events: [] })) : null;
+    for (let y=1; y<=horizonYears; y++){
+      // Legislated bracket changes apply from the financial year they take effect
+      const taxOpts = (ctx.bracketChanges && ctx.bracketChanges.length)
+        ? Object.assign({}, ctx.taxOpts, { brackets: bracketsForYear(ctx.brackets, ctx.bracketChanges, ctx.startYear + y - 1) })
+        : ctx.taxOpts;
+      const growthShock = ctx.growthShocks ? ctx.growthShocks[y-1] : 0;
+      const vacancyWeeks = ctx.vacancyPath ? ctx.vacancyPath[y-1] : ctx.rentAllowances.vacancyWeeks;
+      // Annual loop (approximate by 12 monthly steps)
+      let interestYear = 0;
+      let principalYear = 0;
+      let privateInterestYear = 0;
+      const ipRateYear = rateForYear(rateSchedule, y, 'ipRate', ctx.interestRate);
+      const pporRateYear = rateForYear(rateSchedule, y, 'pporRate', pporRate);
+      const pporMonthsLeft = Math.max(1, pporTermYears*12 - (y-1)*12);
+      // PPOR rate change: re-amortise both PPOR paths over the remaining term
+      if (pporRateYear !== pporRateCurrent){
+        pporRateCurrent = pporRateYear;
+        pporMonthlyRate = (pporRateYear/100)/12;
+        pporMonthlyPmt = annuityMonthlyPayment(pporBalanceNoInvest, pporRateYear, pporMonthsLeft/12);
+        pporMonthlyPmtInvest = annuityMonthlyPayment(pporBalanceInvest, pporRateYear, pporMonthsLeft/12);
+      }
+      // Events at the start of the year. Loan events need a loan that is already running and not yet sold.
+      const yearEvents = [];
+      let eventCash = 0;
+      events.filter(e => e.year === y).forEach(e => {
+        const loanEvent = e.type === 'refinance' || e.type === 'cashOut' || e.type === 'lumpSum';
+        if (soldYear !== null && (loanEvent || e.type === 'sell')){
+          e.note = `the property was sold in year ${soldYear}`;
+          return;
+        }
+        if ((loanEvent || e.type === 'sell') && y <= ctx.investDelayYears){
+          e.note = `the property is not bought until year ${ctx.investDelayYears + 1}`;
+          return;
+        }
+        if (loanEvent && (!loanStarted || balance <= 0)){
+          e.note = loanStarted ? 'the loan is already repaid' : 'the loan starts that year: schedule it for a later year';
+          return;
+        }
+        if (e.type === 'convertPpor' && conversion){
+          e.note = `the PPOR was already converted in year ${conversion.year}`;
+          return;
+        }
+        e.applied = true;
+        if (e.type === 'refinance'){
+          // New rate and a fresh P&I term; later rate-path moves apply on top of the new rate
+          rateShift = Math.max(0, e.rate) - ipRateYear;
+          ipRateCurrent = Math.max(0, e.rate);
+          monthlyRate = (ipRateCurrent/100)/12;
+          termMonths = loanMonthsElapsed + Math.max(1, e.termYears) * 12;
+          ioMonths = 0;
+          monthlyPmt = ipRepayment(ipRateCurrent);
+          eventCash += Math.max(0, e.cost || 0);
+          yearEvents.push(Object.assign({}, e, { repayment: monthlyPmt }));
+        } else if (e.type === 'cashOut'){
+          // Borrow up to the target LVR; the cash pays down the PPOR loan, any excess goes to its offset
+          const released = Math.max(0, Math.min(e.lvrPct, 100) / 100 * propertyValue - balance);
+          balance += released;
+          privateDebt += released;
+          monthlyPmt = ipRepayment(ipRateCurrent);
+          const toPpor = Math.min(pporBalanceInvest, released);
+          pporBalanceInvest -= toPpor;
+          pporOffsetInvest += released - toPpor;
+          // PPOR repayments re-amortise the lower balance over its remaining term
+          pporMonthlyPmtInvest = annuityMonthlyPayment(pporBalanceInvest, pporRateCurrent, pporMonthsLeft/12);
+          yearEvents.push(Object.assign({}, e, { released, repayment: monthlyPmt }));
+        } else if (e.type === 'lumpSum'){
+          // Paid from savings: repayments are recalculated on the lower balance
+          const paid = Math.min(balance, Math.max(0, e.amount));
+          privateDebt *= (balance - paid) / balance;
+          balance -= paid;
+          monthlyPmt = ipRepayment(ipRateCurrent);
+          eventCash += paid;
+          yearEvents.push(Object.assign({}, e, { paid, repayment: monthlyPmt }));
+        } else if (e.type === 'convertPpor'){
+          conversion = e;
+          yearEvents.push(Object.assign({}, e));
+        } else if (e.type === 'sell'){
+          // Sold at the end of the year (below)
+          soldYear = y;
+        }
+      });
+      const mainRateYear = Math.max(0, ipRateYear + rateShift);
+      // IP rate change on an active loan: recalculate the repayment on the remaining balance/term
+      if (loanStarted && balance > 0 && mainRateYear !== ipRateCurrent){
+        ipRateCurrent = mainRateYear;
+        monthlyRate = (mainRateYear/100)/12;
+        monthlyPmt = ipRepayment(mainRateYear);
+      }
+      let ioRevertsThisYear = false;
+      // Redraw-funded purchase: the PPOR debt rises by the cash needed at settlement
+      if (redrawFunded && !loanStarted && y > ctx.investDelayYears){
+        pporBalanceInvest += redrawAmount;
+        pporMonthlyPmtInvest = annuityMonthlyPayment(pporBalanceInvest, pporRateCurrent, pporMonthsLeft/12);
+      }
+      // Portfolio purchases at the start of the year. Equity funding tops up earlier
+      // investment loans to 80% LVR (oldest first); the rest comes from cash.
+      holdings.forEach(h => {
+        if (h.bought || y !== h.p.buyAfter + 1) return;
+        h.bought = true;
+        h.boughtYear = y;
+        h.loan.balance = h.p.loanAmount;
+        h.loan.rate = Math.max(0, h.p.rate + ipRateYear - ctx.interestRate);
+        h.loan.pmt = loanRepayment(h.loan);
+        let needed = h.p.cashNeeded;
+        if (h.p.funding === 'equity'){
+          if (loanStarted){
+            const fromMain = Math.min(needed, Math.max(0, 0.8 * propertyValue - balance));
+            if (fromMain > 0){
+              balance += fromMain;
+              monthlyPmt = ipRepayment(ipRateCurrent);
+              mainReleased += fromMain;
+              needed -= fromMain;
+            }
+          }
+          holdings.filter(o => o.bought && o.boughtYear < y).sort((a, b) => a.boughtYear - b.boughtYear).forEach(o => {
+            const take = Math.min(needed, Math.max(0, 0.8 * o.value - o.loan.balance));
+            if (take <= 0) return;
+            o.loan.balance += take;
+            o.loan.pmt = loanRepayment(o.loan);
+            o.released += take;
+            needed -= take;
+          });
+          h.equityUsed = h.p.cashNeeded - needed;
+        }
+        h.cashUsed = needed;
+        // Cash spent on the deposit would otherwise reduce the No Invest PPOR loan or buy shares
+        const cashDeposit = Math.min(h.p.deposit, h.cashUsed);
+        const toPpor = Math.min(pporBalanceNoInvest, cashDeposit);
+        pporBalanceNoInvest -= toPpor;
+        pporOffsetNoInvest += cashDeposit - toPpor;
+        sharesValue += cashDeposit;
+        sharesCostBase += cashDeposit;
+      });
+
+      const ipBalanceStartOfYear = (loanStarted || y <= ctx.investDelayYears) ? balance : ctx.loanAmount;
+      const pporBalanceInvestStartOfYear = pporBalanceInvest;
+      for (let m=0; m<12; m++){
+        // Activate investment from the month we cross investDelayYears
+        if (!loanStarted && y > ctx.investDelayYears) {
+          loanStarted = true;
+          balance = ctx.loanAmount;
+          ipRateCurrent = ipRateYear;
+          monthlyRate = (ipRateYear/100)/12;
+          monthlyPmt = ipRepayment(ipRateYear);
+        }
+        // IO period ends: re-amortise the balance as P&I over the remaining term
+        if (loanStarted && ioMonths > 0 && loanMonthsElapsed === ioMonths && ioMonths < termMonths){
+          monthlyPmt = ipRepayment(ipRateCurrent);
+          ioRevertsThisYear = true;
+        }
+        if (loanStarted) ipOffset += (ctx.ipOffsetMonthly || 0) + ((ctx.surplusDestination === 'ipOffset') ? Math.max(0, ctx.pporExtraMonthly || 0) : 0);
+        // Only the IP loan's own interest (on balance less its offset) is deductible
+        const interest = Math.max(0, balance - ipOffset) * monthlyRate;
+        // Interest-only repayments are the interest actually charged, so an offset never pays the loan down
+        const principal = (loanMonthsElapsed < ioMonths) ? 0 : Math.max(0, monthlyPmt - interest);
+        interestYear += interest;
+        principalYear += principal;
+        if (privateDebt > 0){
+          privateInterestYear += interest * privateDebt / balance;
+          privateDebt *= Math.max(0, balance - principal) / balance;
+        }
+        balance = Math.max(0, balance - principal);
+        if (loanStarted) loanMonthsElapsed++;
+        // Defer PPOR (No Invest) amortization to after we compute monthly extra from IP OOP
+      }
+      const mainInterestYear = interestYear;
+
+      // Portfolio properties: a year of repayments at their margin over the IP rate path, indexed rent/expenses
+      const pf = { rent: 0, expenses: 0, interest: 0, principal: 0, depreciation: 0, value: 0, debt: 0, bufferedRepayments: 0 };
+      holdings.forEach(h => {
+        if (!h.bought) return;
+        const rate = Math.max(0, h.p.rate + ipRateYear - ctx.interestRate);
+        pf.bufferedRepayments += annuityMonthlyPayment(h.loan.balance, rate + bufferPct, Math.max(1, h.loan.termMonths - h.loan.monthsElapsed)/12);
+        const { interest, principal } = stepLoanYear(h.loan, rate);
+        const yearsHeld = y - h.boughtYear;
+        const letting = rentForYear(h.p.weeklyRent * Math.pow(1 + rentGrowth, yearsHeld), vacancyWeeks, ctx.rentAllowances, Math.pow(1 + cpiGrowth, yearsHeld));
+        const rent = letting.collected;
+        const expenses = h.p.expenses * Math.pow(1 + cpiGrowth, yearsHeld) + letting.lettingCosts;
+        h.value = h.value * (1 + h.p.growth + growthShock);
+        h.rentTotal += rent;
+        h.taxableTotal += rent - expenses - interest - h.p.depreciation;
+        h.depreciationClaimed += h.p.depreciation;
+        h.capitalWorksClaimed += Math.min(h.p.capitalWorks || 0, h.p.depreciation);
+        pf.rent += rent;
+        pf.expenses += expenses;
+        pf.interest += interest;
+        pf.principal += principal;
+        pf.depreciation += h.p.depreciation;
+        pf.value += h.value;
+        pf.debt += h.loan.balance;
+      });
+      interestYear += pf.interest;
+      principalYear += pf.principal;
+
+      // Update values (investment property uses selected city rate, PPOR uses Sydney rate)
+      const propertyValueStartOfYear = propertyValue;
+      propertyValue = propertyValue * (1 + appreciationPct + growthShock);
+      pporValueInvest = pporValueInvest * (1 + pporAppreciationPct + growthShock);
+      pporValueNoInvest = pporValueNoInvest * (1 + pporAppreciationPct + growthShock);
+
+      // Invest PPOR: scheduled repayments plus user extra (as extra repayments or into an offset)
+      const monthlyAdj = Math.max(0, ctx.pporExtraMonthly || 0);
+      let pporInterestInvest = 0;
+      for (let m=0; m<12; m++){
+        pporOffsetInvest += pporOffsetMonthly + ((ctx.surplusDestination === 'pporOffset') ? monthlyAdj : 0);
+        if (pporBalanceInvest <= 1e-6) continue;
+        const interestI = Math.max(0, pporBalanceInvest - pporOffsetInvest) * pporMonthlyRate;
+        pporInterestInvest += interestI;
+        let principalI = Math.max(0, pporMonthlyPmtInvest - interestI);
+        let extraI = (ctx.surplusDestination === 'repay') ? monthlyAdj : 0;
+        const totalPrincipalI = Math.min(pporBalanceInvest, principalI + extraI);
+        pporBalanceInvest = Math.max(0, pporBalanceInvest - totalPrincipalI);
+      }
+
+      // Year 1 matches today's inputs; each later year is indexed (also while waiting to invest)
+      const cpiFactor = Math.pow(1 + cpiGrowth, y - 1);
+      const letting = rentForYear(ctx.weeklyRent * Math.pow(1 + rentGrowth, y - 1), vacancyWeeks, ctx.rentAllowances, cpiFactor);
+      const maintenanceIndexed = (maintenanceIndex === 'value') ? propertyValueStartOfYear * ctx.maintenancePct
+        : ctx.purchasePrice * ctx.maintenancePct * ((maintenanceIndex === 'cpi') ? cpiFactor : 1);
+      const expensesIndexed = ctx.fixedExpenses * cpiFactor + maintenanceIndexed + letting.collected * ctx.pmFeePct + letting.lettingCosts;
+      // The main property is held from its purchase until the end of an early sale year
+      const mainHeld = y > ctx.investDelayYears && (soldYear === null || y <= soldYear);
+      const mainRent = mainHeld ? letting.collected : 0;
+      const mainExpenses = mainHeld ? expensesIndexed : 0;
+      // A PPOR converted to an investment: its rent and expenses (rent in today's dollars, indexed) and its
+      // loan interest count for tax; housing elsewhere is a private cost
+      let pporRent = 0;
+      let pporExpenses = 0;
+      let pporDeductibleInterest = 0;
+      if (conversion){
+        const pporLetting = rentForYear(Math.max(0, conversion.weeklyRent) * Math.pow(1 + rentGrowth, y - 1), vacancyWeeks, ctx.rentAllowances, cpiFactor);
+        pporRent = pporLetting.collected;
+        pporExpenses = Math.max(0, conversion.expenses || 0) * cpiFactor + pporRent * ctx.pmFeePct + pporLetting.lettingCosts;
+        pporDeductibleInterest = pporInterestInvest;
+        eventCash += Math.max(0, conversion.rentPaid || 0) * 52 * Math.pow(1 + rentGrowth, y - 1);
+      }
+      // Rent, expenses, interest and depreciation are combined across the portfolio for tax and cashflow
+      const rentThisYear = mainRent + pf.rent + pporRent;
+      const expensesThisYear = mainExpenses + pf.expenses + pporExpenses;
+      const salarySelfThisYear = ctx.salarySelf * Math.pow(1 + salaryGrowthSelf, y - 1);
+      const salarySpouseThisYear = ctx.salarySpouse * Math.pow(1 + salaryGrowthSpouse, y - 1);
+      // Depreciation follows the schedule for the years held: Division 40 declines, Division 43 stops at 40 years
+      const depreciationYear = mainHeld ? ctx.depreciationSchedule[y - ctx.investDelayYears - 1] : null;
+      const depreciationThisYear = depreciationYear ? depreciationYear.total : 0;
+      const preDep = rentThisYear - expensesThisYear - interestYear;
+      // Interest on cash-out borrowing spent privately is not deductible; a converted PPOR's loan interest is
+      const taxable = preDep + privateInterestYear - pporDeductibleInterest - depreciationThisYear - pf.depreciation;
+      depreciationClaimed += depreciationThisYear;
+      capitalWorksClaimed += depreciationYear ? depreciationYear.div43 : 0;
+      mainRentTotal += mainRent;
+      mainTaxableTotal += mainRent - mainExpenses - (mainInterestYear - privateInterestYear) - depreciationThisYear;
+
+      // Each year's tax with and without the property on that year's salaries (captures bracket creep).
+      // Once the property turns positively geared the "savings" become tax payable.
+      const propertyShares = [taxable*ctx.ownershipSelf, taxable*ctx.ownershipSpouse];
+      const taxEffect = propertyTaxEffect([salarySelfThisYear, salarySpouseThisYear], propertyShares, helpDebts, taxOpts);
+      const taxSavings = taxEffect.benefit;
+      const peopleWith = taxEffect.with.map((t, i) => ({ taxableIncome: t.taxableIncome, investmentLoss: Math.max(0, -propertyShares[i]), helpDebt: helpDebts.with[i] }));
+      const peopleWithout = taxEffect.without.map((t, i) => ({ taxableIncome: t.taxableIncome, investmentLoss: 0, helpDebt: helpDebts.without[i] }));
+      const mtrSelf = effectiveMarginalRate(peopleWith, 0, taxOpts);
+      const mtrSpouse = effectiveMarginalRate(peopleWith, 1, taxOpts);
+      ['without', 'with'].forEach(path => {
+        helpDebts[path] = helpDebts[path].map((debt, i) => Math.max(0, debt - taxEffect[path][i].help));
+      });
+      // Event cash (lump sums, refinance fees, rent paid after a conversion) is an outflow on the Invest path
+      const afterTaxCashflow = (rentThisYear - expensesThisYear - interestYear - principalYear) + taxSavings - eventCash;
+      const beforeTaxOOPAnnual = (expensesThisYear + interestYear + principalYear + eventCash) - rentThisYear;
+      const beforeTaxOOPMonthly = Math.max(0, beforeTaxOOPAnnual / 12);
+      cumulativeAfterTax += afterTaxCashflow;
+
+      // Shares/ETF: invest the deposit once, then the IP's monthly after-tax holding cost.
+      // Dividends are grossed up for franking credits, taxed at marginal rates and reinvested.
+      let dividendsAfterTax = 0;
+      if (y > ctx.investDelayYears){
+        if (!sharesStarted){
+          // A redraw-funded purchase would instead redraw the same amount into the portfolio
+          const sharesInitial = redrawFunded ? redrawAmount : Math.max(0, ctx.deposit || 0);
+          sharesValue += sharesInitial;
+          sharesCostBase += sharesInitial;
+          sharesStarted = true;
+        }
+        const contributionMonthly = Math.max(0, -afterTaxCashflow) / 12;
+        let dividends = 0;
+        for (let m=0; m<12; m++){
+          dividends += sharesValue * altDividendYield / 12;
+          sharesValue = sharesValue * (1 + altGrowthMonthly) + contributionMonthly;
+          sharesCostBase += contributionMonthly;
+        }
+        const frankingCredits = dividends * altFrankedPct * companyTaxRate / (1 - companyTaxRate);
+        // The portfolio replaces the property, so dividends are taxed at the without-property marginal rates
+        const blendedMtr = effectiveMarginalRate(peopleWithout, 0, taxOpts) * ctx.ownershipSelf + effectiveMarginalRate(peopleWithout, 1, taxOpts) * ctx.ownershipSpouse;
+        dividendsAfterTax = (dividends + frankingCredits) * (1 - blendedMtr);
+        sharesValue += dividendsAfterTax;
+        sharesCostBase += dividendsAfterTax;
+      }
+
+      // Serviceability under a bank-style buffer: both loans re-tested at (rate + buffer) as P&I
+      // over their remaining terms, against after-tax salaries, net rent and living expenses
+      if (y > ctx.investDelayYears){
+        const ipMonthsLeft = Math.max(1, termMonths - (loanMonthsElapsed - 12));
+        const bufferedRepayments = annuityMonthlyPayment(ipBalanceStartOfYear, mainRateYear + bufferPct, ipMonthsLeft/12)
+          + annuityMonthlyPayment(pporBalanceInvestStartOfYear, pporRateYear + bufferPct, pporMonthsLeft/12)
+          + pf.bufferedRepayments;
+        const salariesAfterTax = taxEffect.without
+          .reduce((sum, t, i) => sum + [salarySelfThisYear, salarySpouseThisYear][i] - t.total, 0);
+        const surplusMonthly = (salariesAfterTax + rentThisYear - expensesThisYear + taxSavings) / 12 - bufferedRepayments - livingExpensesMonthly;
+        if (!worstServiceSurplus || surplusMonthly < worstServiceSurplus.surplusMonthly){
+          worstServiceSurplus = { y, surplusMonthly };
+        }
+      }
+
+      // Equity = value - balance
+      const equity = Math.max(0, propertyValue - balance);
+
+      // Now apply No-Invest: scheduled + user extra + (if investment active) extra equal to IP monthly OOP before tax
+      for (let m=0; m<12; m++){
+        const surplusNI2 = Math.max(0, ctx.pporExtraMonthly || 0) + ((y > ctx.investDelayYears) ? beforeTaxOOPMonthly : 0);
+        pporOffsetNoInvest += pporOffsetMonthly + ((y > ctx.investDelayYears) ? (ctx.ipOffsetMonthly || 0) : 0) + ((ctx.surplusDestination === 'repay') ? 0 : surplusNI2);
+        if (pporBalanceNoInvest <= 1e-6) continue;
+        const interestNI2 = Math.max(0, pporBalanceNoInvest - pporOffsetNoInvest) * pporMonthlyRate;
+        let principalNI2 = Math.max(0, pporMonthlyPmt - interestNI2);
+        let extraNI2 = (ctx.surplusDestination === 'repay') ? surplusNI2 : 0;
+        const totalPrincipalNI2 = Math.min(pporBalanceNoInvest, principalNI2 + extraNI2);
+        pporBalanceNoInvest = Math.max(0, pporBalanceNoInvest - totalPrincipalNI2);
+      }
+
+      // Net worths include PPOR equity (value - debt) and investment equity; we ignore liquid cash aside from cumulative savings if positive in invest path
+      // For investment property, subtract selling costs from the final value
+      const investmentEquity = Math.max(0, propertyValue - balance);
+      const selling = (y === soldYear) || (y === horizonYears && soldYear === null);
+      const finalInvestmentValue = selling ? Math.max(0, propertyValue - ctx.totalSellingCosts) : propertyValue;
+      let finalInvestmentEquity = selling ? Math.max(0, finalInvestmentValue - balance) : investmentEquity;
+
+      // Sale at horizon (or at the end of an early sale year): CGT on the gain, each owner taxed on top of
+      // this year's other income (and on top of gains from properties already counted this year)
+      const monthsHeld = (y - ctx.investDelayYears) * 12;
+      let salePeople = peopleWith;
+      if (selling && monthsHeld > 0){
+        const cgt = capitalGainsOnSale({
+          salePrice: propertyValue, purchasePrice: ctx.purchasePrice, upfrontCosts: ctx.upfrontCosts || 0,
+          agentPurchaseCost: ctx.agentPurchaseCost || 0, sellingCosts: ctx.totalSellingCosts, capitalWorksClaimed, monthsHeld,
+          ownershipSelf: ctx.ownershipSelf, ownershipSpouse: ctx.ownershipSpouse,
+          people: peopleWith, taxOpts
+        });
+        const proceedsAfterTax = finalInvestmentValue - balance - cgt.cgt;
+        sale = Object.assign({ year: y, salePrice: propertyValue, sellingCosts: ctx.totalSellingCosts, loanRepaid: balance, depreciationClaimed, capitalWorksClaimed, proceedsAfterTax }, cgt);
+        finalInvestmentEquity = Math.max(0, finalInvestmentEquity - cgt.cgt);
+        salePeople = addGainToPeople(salePeople, cgt.netGain, [ctx.ownershipSelf, ctx.ownershipSpouse]);
+        if (y === soldYear) yearEvents.push({ type: 'sell', year: y, salePrice: propertyValue, cgt: cgt.cgt, proceedsAfterTax });
+        if (y < horizonYears){
+          // Early sale: the proceeds pay down the PPOR loan (the rest goes to its offset; a shortfall is
+          // added to the loan) and the property leaves the projection
+          const toPpor = Math.min(pporBalanceInvest, Math.max(0, proceedsAfterTax));
+          pporBalanceInvest -= (proceedsAfterTax < 0) ? proceedsAfterTax : toPpor;
+          pporOffsetInvest += Math.max(0, proceedsAfterTax) - toPpor;
+          // From next year, PPOR repayments re-amortise the new balance over its remaining term
+          pporMonthlyPmtInvest = annuityMonthlyPayment(pporBalanceInvest, pporRateCurrent, Math.max(1, pporMonthsLeft - 12)/12);
+          balance = 0;
+          propertyValue = 0;
+          privateDebt = 0;
+          monthlyPmt = 0;
+          ioMonths = 0;
+          finalInvestmentEquity = 0;
+        }
+      }
+
+      // Portfolio equity; every property is sold at the horizon
+      let portfolioEquity = 0;
+      holdings.forEach(h => {
+        if (!h.bought) return;
+        if (y < horizonYears){
+          portfolioEquity += Math.max(0, h.value - h.loan.balance);
+          return;
+        }
+        // As for the main property, only the capital works part of the depreciation comes off the cost base
+        const cgt = capitalGainsOnSale({
+          salePrice: h.value, purchasePrice: h.p.price, upfrontCosts: h.p.upfrontCosts,
+          agentPurchaseCost: h.p.agentPurchaseCost, sellingCosts: h.p.sellingCosts, capitalWorksClaimed: h.capitalWorksClaimed,
+          monthsHeld: (y - h.boughtYear + 1) * 12,
+          ownershipSelf: ctx.ownershipSelf, ownershipSpouse: ctx.ownershipSpouse,
+          people: salePeople, taxOpts
+        });
+        salePeople = addGainToPeople(salePeople, cgt.netGain, [ctx.ownershipSelf, ctx.ownershipSpouse]);
+        h.sale = Object.assign({ proceedsAfterTax: h.value - h.p.sellingCosts - h.loan.balance - cgt.cgt }, cgt);
+        portfolioEquity += Math.max(0, h.sale.proceedsAfterTax);
+      });
+      const totalDebt = balance + pf.debt;
+      if (totalDebt > peakDebt.debt) peakDebt = { y, debt: totalDebt };
+
+      // Offset balances are cash, so they count towards net worth
+      const offsetsInvest = pporOffsetInvest + ipOffset;
+      const pporEquityInvest = Math.max(0, pporValueInvest - pporBalanceInvest);
+      const retainedCashflow = Math.max(0, cumulativeAfterTax);
+      const investNetWorth = finalInvestmentEquity + portfolioEquity + pporEquityInvest + offsetsInvest + retainedCashflow;
+      const pporEquityNoInvest = Math.max(0, pporValueNoInvest - pporBalanceNoInvest);
+      const noInvestNetWorth = pporEquityNoInvest + pporOffsetNoInvest;
+
+      // Shares path keeps the same PPOR repayments as Invest; portfolio is sold (CGT) at horizon
+      let sharesValueNet = sharesValue;
+      if (y === horizonYears && sharesStarted){
+        sharesCgt = capitalGainsOnSale({
+          salePrice: sharesValue, purchasePrice: sharesCostBase, upfrontCosts: 0, agentPurchaseCost: 0, sellingCosts: 0,
+          capitalWorksClaimed: 0, monthsHeld: (y - ctx.investDelayYears) * 12,
+          ownershipSelf: ctx.ownershipSelf, ownershipSpouse: ctx.ownershipSpouse,
+          people: peopleWithout, taxOpts
+        });
+        sharesValueNet = sharesValue - sharesCgt.cgt;
+      }
+      const shares = sharesRun ? sharesRun.years[y - 1] : {
+        sharesNetWorth: sharesValueNet + pporEquityInvest + offsetsInvest,
+        sharesValue, sharesCostBase, dividendsAfterTax, pporBalanceShares: pporBalanceInvest
+      };
+
+      // propertyValue and balance are totals across all investment properties
+      years.push({ y, ioRevertsThisYear, ipRateYear: mainRateYear, pporRateYear, beforeTaxOOPAnnual, balance: totalDebt, propertyValue: propertyValue + pf.value, equity, rentThisYear, expensesThisYear, interestYear, principalYear, depreciation: depreciationThisYear + pf.depreciation, taxable, taxSavings, mtrSelf, mtrSpouse, afterTaxCashflow, cumulativeAfterTax, investNetWorth, noInvestNetWorth, sharesNetWorth: shares.sharesNetWorth, ipEquity: finalInvestmentEquity, portfolioEquity, pporEquityInvest, retainedCashflow, pporEquityNoInvest, sharesValue: shares.sharesValue, sharesCostBase: shares.sharesCostBase, dividendsAfterTax: shares.dividendsAfterTax, offsetsInvest, pporOffsetNoInvest, pporBalanceInvest, pporBalanceNoInvest, pporBalanceShares: shares.pporBalanceShares, pporValueInvest, pporValueNoInvest, events: yearEvents });
+    }
+
+    // Per-property breakdown: the main property first, then each portfolio purchase
+    const portfolioRows = [{
+      name: 'Main property', boughtYear: ctx.investDelayYears + 1, price: ctx.purchasePrice, loanAmount: ctx.loanAmount,
+      cashUsed: redrawFunded ? 0 : ctx.cashAtSettlement, equityUsed: redrawFunded ? redrawAmount : 0, released: mainReleased,
+      rentTotal: mainRentTotal, taxableTotal: mainTaxableTotal,
+      value: propertyValue, debt: balance, proceedsAfterTax: sale ? sale.proceedsAfterTax : NaN
+    }].concat(holdings.map(h => ({
+      name: h.p.name, boughtYear: h.bought ? h.boughtYear : null, price: h.p.price, loanAmount: h.p.loanAmount,
+      cashUsed: h.cashUsed, equityUsed: h.equityUsed, released: h.released,
+      rentTotal: h.rentTotal, taxableTotal: h.taxableTotal,
+      value: h.bought ? h.value : NaN, debt: h.bought ? h.loan.balance : NaN, proceedsAfterTax: h.sale ? h.sale.proceedsAfterTax : NaN
+    })));
+    return {
+      years, sale, sharesCgt: sharesRun ? sharesRun.sharesCgt : sharesCgt, worstServiceSurplus, peakDebt, redrawAmount, lumpSum, events,
+      portfolio: holdings.length ? portfolioRows : []
+    };
+  }
+
+  /**
+   * Year-1 figures for the purchase plus the full projection.
+   * inputs: rates marked % are percentages (6.2 = 6.2%); every other rate is a decimal (0.062).
+   *   Household: salarySelf, salarySpouse, ownershipSelf (0–1), dependants, privateCover (bool),
+   *     helpDebts [self, spouse], brackets [{ threshold, rate }], medicareRate
+   *   Purchase: purchasePrice, deposit, dutyState (e.g. 'NSW'), foreignPurchaser (bool), conveyancing,
+   *     manualUpfrontCosts (null to use calculated duty and fees), agentPurchasePct, agentSellingPct,
+   *     marketingCosts, lmiTiers [{ min, max, pct }] (LVR % bounds)
+   *   Loan: interestRate (%), termYears, loanType ('P&I' | 'IO'), ioYears (0 = whole term),
+   *     ipOffsetOpening, ipOffsetMonthly, depositSource ('cash' | 'pporRedraw'),
+   *     surplusDestination ('repay' | 'pporOffset' | 'ipOffset'), pporExtraMonthly
+   *   Rent and expenses: weeklyRent, rentAllowances { vacancyWeeks, leaseMonths, lettingFeeWeeks,
+   *     advertisingCost, landlordExcess }, councilRates, waterRates, landlordInsurance, maintenancePct, pmFeePct
+   *   Depreciation: depreciation { condition, buildYear, constructionCost, assets } (see Depreciation.schedule)
+   *   Lender view: rentShadingPct (%)
+   *   Portfolio: portfolio rows { name, buyAfter, city, price, deposit, rate, termYears, loanType,
+   *     ioYears (0 = whole term), weeklyRent, expenses, depreciation, capitalWorks (the Div 43 part of
+   *     depreciation), funding }, [] for a single property
+   *   Projection: investDelayYears, horizonYears, appreciationPct, altReturn, altDividendYield,
+   *     altFrankedPct, pporValueStart, pporBalanceStart, pporRate (%), pporTermYears,
+   *     pporAppreciationPct, rentGrowth, cpiGrowth, salaryGrowthSelf, salaryGrowthSpouse,
+   *     maintenanceIndex ('value' | 'cpi' | 'flat'), rateSchedule [{ year, ipRate, pporRate }],
+   *     bufferPct (%), livingExpensesMonthly, pporOffsetOpening, pporOffsetMonthly
+   *   Timeline events: events [{ year, type, ... }] applied at the start of their year:
+   *     'refinance' { rate (%), termYears, cost }, 'cashOut' { lvrPct (%) }, 'lumpSum' { amount },
+   *     'convertPpor' { weeklyRent, expenses, rentPaid ($/wk) }, 'sell' (the main property, at the year's end)
+   *   Assumption pack (optional, default pack when omitted): taxSettings (as householdTax opts.settings),
+   *     bracketChanges [{ year, rates }] (see bracketsForYear), startYear (financial year of projection
+   *     year 1), cityGrowth { city: % p.a. } for portfolio properties
+   * Returns the year-1 summary (loanAmount, lvr, lmiCost, upfrontCosts, cashAtSettlement, rental
+   * yields, rent, expenses, interest, principal, taxableLoss, annualTaxSavings, out-of-pocket,
+   * marginal rates, service) with the projection's years, sale and portfolio rows. Each year carries
+   * the events applied in it; projection.events lists every event with applied and a note when skipped. Also returns
+   * upfront (calculated duty breakdown), depreciationSchedule, taxEffect, projection (the full
+   * projectScenario() result), ctx (its input, reused by the Monte Carlo simulation), baseLvr and
+   * lmiPct (LVR before LMI and the tier's premium rate), agentPurchaseCost and the year-1 expenses by item.
+   */
+  function calculate(inputs){
+    const { salarySelf, salarySpouse, purchasePrice, deposit, weeklyRent, interestRate, termYears, loanType,
+      rentAllowances, investDelayYears, helpDebts } = inputs;
+    const startYear = inputs.startYear || projectionStartYear;
+    const bracketChanges = inputs.bracketChanges || [];
+    const ownershipSelf = Math.min(1, Math.max(0, inputs.ownershipSelf));
+    const ownershipSpouse = 1 - ownershipSelf;
+
+    // Upfront costs: state transfer duty + surcharges + registration fees + conveyancing, unless entered manually
+    const upfront = StampDuty.calculateUpfrontCosts({
+      price: purchasePrice, state: inputs.dutyState, foreign: inputs.foreignPurchaser, conveyancing: inputs.conveyancing
+    });
+    const upfrontCosts = (inputs.manualUpfrontCosts === null || inputs.manualUpfrontCosts === undefined) ? upfront.total : inputs.manualUpfrontCosts;
+
+    // Depreciation schedule for every year the main property could be held
+    const depreciationSchedule = Depreciation.schedule(Object.assign({}, inputs.depreciation, {
+      firstYear: startYear + investDelayYears,
+      years: inputs.horizonYears
+    }));
+    const depreciation = depreciationSchedule.years[0].total;
+
+    // Portfolio mode: later purchases, each with its own duty, LMI and loan
+    const portfolio = (inputs.portfolio || []).map(p => preparePortfolioProperty(p, {
+      lmiTiers: inputs.lmiTiers, foreign: inputs.foreignPurchaser, conveyancing: inputs.conveyancing,
+      agentPurchasePct: inputs.agentPurchasePct, agentSellingPct: inputs.agentSellingPct,
+      marketingCosts: inputs.marketingCosts, investDelayYears, cityGrowth: inputs.cityGrowth
+    }));
+
+    // Rent is collected only while let; management fees are charged on what is collected
+    const rentYearOne = rentForYear(weeklyRent, rentAllowances.vacancyWeeks, rentAllowances, 1);
+    const grossAnnualRent = rentYearOne.gross;
+    const annualRent = rentYearOne.collected;
+    const lettingCosts = rentYearOne.lettingCosts;
+    const managementFee = annualRent * inputs.pmFeePct;
+    const maintenance = purchasePrice * inputs.maintenancePct;
+    const agentPurchaseCost = purchasePrice * inputs.agentPurchasePct;
+    const totalSellingCosts = purchasePrice * inputs.agentSellingPct + inputs.marketingCosts;
+    const fixedExpenses = inputs.councilRates + inputs.waterRates + inputs.landlordInsurance;
+    const itemisedExpenses = fixedExpenses + managementFee + maintenance + lettingCosts;
+
+    // Base loan before LMI
+    const baseLoan = Math.max(0, purchasePrice - deposit);
+    const baseLvr = purchasePrice > 0 ? (baseLoan / purchasePrice) * 100 : 0;
+    const lmiPct = lmiRate(baseLvr, inputs.lmiTiers);
+    const lmiCost = baseLoan * lmiPct;
+
+    // Assume LMI is capitalised into the loan
+    const loanAmount = baseLoan + lmiCost;
+    const lvr = purchasePrice > 0 ? (loanAmount / purchasePrice) * 100 : 0;
+
+    // Offset accounts: interest is charged on balance minus offset
+    let annualInterest = 0;
+    let annualPrincipal = 0;
+    if (loanType === 'IO'){
+      for (let m=0; m<12; m++){
+        annualInterest += Math.max(0, loanAmount - inputs.ipOffsetOpening - inputs.ipOffsetMonthly*(m+1)) * (interestRate/100)/12;
+      }
+    } else {
+      const { interestPaid, principalPaidYear } = estimateYearOneInterestPI(loanAmount, interestRate, termYears, inputs.ipOffsetOpening, inputs.ipOffsetMonthly);
+      annualInterest = interestPaid;
+      annualPrincipal = principalPaidYear;
+    }
+
+    const preDepResult = annualRent - itemisedExpenses - annualInterest; // gearing before depreciation
+    const taxableLoss = preDepResult - depreciation; // can be negative or positive
+
+    // Each owner's full tax (offsets, Medicare levy/surcharge, HELP) with and without the property;
+    // the tax benefit is the exact difference
+    const taxOpts = {
+      brackets: bracketsForYear(inputs.brackets, bracketChanges, startYear), levyRate: inputs.medicareRate,
+      settings: inputs.taxSettings || taxSettings,
+      couple: salarySpouse > 0 || ownershipSpouse > 0,
+      dependants: Math.max(0, Math.floor(inputs.dependants || 0)),
+      privateCover: !!inputs.privateCover
+    };
+    const taxEffect = propertyTaxEffect([salarySelf, salarySpouse], [taxableLoss * ownershipSelf, taxableLoss * ownershipSpouse],
+      { without: helpDebts, with: helpDebts }, taxOpts);
+    const annualTaxSavings = taxEffect.benefit;
+    const withPeople = taxEffect.with.map((t, i) => ({ taxableIncome: t.taxableIncome, investmentLoss: Math.max(0, -taxableLoss * [ownershipSelf, ownershipSpouse][i]), helpDebt: helpDebts[i] }));
+    const mtrSelf = effectiveMarginalRate(withPeople, 0, taxOpts);
+    const mtrSpouse = effectiveMarginalRate(withPeople, 1, taxOpts);
+    const combinedMtr = (taxableLoss !== 0) ? (annualTaxSavings / (-taxableLoss)) : (mtrSelf*ownershipSelf + mtrSpouse*ownershipSpouse);
+
+    // Borrowing capacity for today's purchase (lender view: shaded rent, benchmark living costs, buffered rates)
+    const service = Serviceability.assess({
+      netSalaryAnnual: [salarySelf, salarySpouse].reduce((sum, salary, i) => sum + salary - (taxEffect.without[i].total - taxEffect.without[i].help), 0),
+      grossSalaryAnnual: salarySelf + salarySpouse,
+      weeklyRent, rentShadingPct: Math.min(100, Math.max(0, inputs.rentShadingPct)),
+      adults: taxOpts.couple ? 2 : 1, dependants: taxOpts.dependants,
+      declaredLivingMonthly: inputs.livingExpensesMonthly,
+      commitments: [{ balance: inputs.pporBalanceStart, ratePct: inputs.pporRate, years: inputs.pporTermYears }],
+      otherMonthly: (taxEffect.without[0].help + taxEffect.without[1].help) / 12,
+      otherDebt: helpDebts[0] + helpDebts[1],
+      loanAmount, ratePct: interestRate, termYears,
+      // Lenders cap IO terms, so a whole-term IO loan is assessed as a 5-year IO period
+      ioYears: (loanType === 'IO') ? Math.min(termYears - 1, inputs.ioYears > 0 ? inputs.ioYears : 5) : 0,
+      bufferPct: inputs.bufferPct
+    });
+
+    // Out of pocket before tax: include principal for cashflow burden
+    const oopBeforeTax = (itemisedExpenses + annualInterest + annualPrincipal) - annualRent;
+    const oopAfterTax = oopBeforeTax - annualTaxSavings;
+
+    // Derived
+    const rentalYield = purchasePrice > 0 ? grossAnnualRent / purchasePrice : 0;
+    const rentalYieldNet = purchasePrice > 0 ? annualRent / purchasePrice : 0;
+    const cashAtSettlement = deposit + upfrontCosts + agentPurchaseCost;
+
+    const ctx = {
+      salarySelf, salarySpouse, ownershipSelf, ownershipSpouse,
+      purchasePrice, deposit, upfrontCosts, interestRate, termYears, loanType,
+      weeklyRent, rentAllowances, itemisedExpenses, depreciationSchedule: depreciationSchedule.years, lmiCost, loanAmount,
+      fixedExpenses, maintenancePct: inputs.maintenancePct, pmFeePct: inputs.pmFeePct,
+      agentPurchaseCost, totalSellingCosts,
+      medicareRate: inputs.medicareRate, brackets: inputs.brackets, taxOpts, helpDebts, bracketChanges, startYear,
+      investDelayYears, pporExtraMonthly: inputs.pporExtraMonthly, cashAtSettlement,
+      ipOffsetOpening: inputs.ipOffsetOpening, ipOffsetMonthly: inputs.ipOffsetMonthly,
+      depositSource: inputs.depositSource, surplusDestination: inputs.surplusDestination,
+      ioYears: inputs.ioYears,
+      portfolio, agentSellingPct: inputs.agentSellingPct, marketingCosts: inputs.marketingCosts,
+      appreciationPct: inputs.appreciationPct, horizonYears: inputs.horizonYears, altReturn: inputs.altReturn,
+      pporValueStart: inputs.pporValueStart, pporBalanceStart: inputs.pporBalanceStart, pporRate: inputs.pporRate,
+      pporTermYears: inputs.pporTermYears, pporAppreciationPct: inputs.pporAppreciationPct,
+      rentGrowth: inputs.rentGrowth, cpiGrowth: inputs.cpiGrowth,
+      salaryGrowthSelf: inputs.salaryGrowthSelf, salaryGrowthSpouse: inputs.salaryGrowthSpouse,
+      maintenanceIndex: inputs.maintenanceIndex, altDividendYield: inputs.altDividendYield, altFrankedPct: inputs.altFrankedPct,
+      rateSchedule: inputs.rateSchedule || [], bufferPct: inputs.bufferPct, livingExpensesMonthly: inputs.livingExpensesMonthly,
+      pporOffsetOpening: inputs.pporOffsetOpening, pporOffsetMonthly: inputs.pporOffsetMonthly,
+      events: inputs.events || []
+    };
+    const projection = projectScenario(ctx);
+    return {
+      purchasePrice, deposit, loanAmount, lvr, lmiCost, upfrontCosts, cashAtSettlement, rentalYield, rentalYieldNet,
+      grossAnnualRent, annualRent, lettingCosts, itemisedExpenses, annualInterest, annualPrincipal, preDepResult, taxableLoss,
+      annualTaxSavings, oopBeforeTax, oopAfterTax, mtrSelf, mtrSpouse, combinedMtr, service,
+      years: projection.years, sale: projection.sale, portfolio: projection.portfolio,
+      upfront, depreciationSchedule, taxEffect, projection, ctx,
+      baseLvr, lmiPct, agentPurchaseCost,
+      expenses: { councilRates: inputs.councilRates, waterRates: inputs.waterRates, landlordInsurance: inputs.landlordInsurance, managementFee, maintenance, lettingCosts }
+    };
+  }
+
+  /**
+   * Worked formulas for the headline results of a calculate() result, using its own figures.
+   * Each entry is { title, terms: [{ op, label, value, format }], result, format }: terms combine left
+   * to right (op '+', '−', '×' or '÷'; none on the first) and evaluate to result (see evaluateWorking).
+   * Formats: 'money', 'pct' (a decimal shown as %) or 'number'.
+   */
+  function working(res){
+    const money = (op, label, value) => ({ op, label, value, format: 'money' });
+    const ctx = res.ctx;
+    const e = res.expenses;
+    const dep = res.depreciationSchedule.years[0];
+    const last = res.years[res.years.length-1];
+    const owners = ['Me', 'Spouse'];
+    const redrawFunded = ctx.depositSource === 'pporRedraw';
+    return {
+      rentalYield: {
+        title: 'Gross rental yield',
+        terms: [money(null, 'Gross annual rent', res.grossAnnualRent), money('÷', 'Purchase price', res.purchasePrice)],
+        result: res.rentalYield, format: 'pct'
+      },
+      lvr: {
+        title: 'LVR (including capitalised LMI)',
+        terms: [money(null, 'Loan amount', res.loanAmount), money('÷', 'Purchase price', res.purchasePrice)],
+        result: res.lvr / 100, format: 'pct'
+      },
+      lmiCost: {
+        title: `LMI (LVR before LMI ${res.baseLvr.toFixed(2)}%)`,
+        terms: [money(null, 'Loan before LMI', res.loanAmount - res.lmiCost), { op: '×', label: 'LMI tier rate', value: res.lmiPct, format: 'pct' }],
+        result: res.lmiCost, format: 'money'
+      },
+      loanAmount: {
+        title: 'Loan amount',
+        terms: [money(null, 'Purchase price', res.purchasePrice), money('−', 'Deposit', res.deposit), money('+', 'LMI', res.lmiCost)],
+        result: res.loanAmount, format: 'money'
+      },
+      cashAtSettlement: {
+        title: 'Cash needed at settlement',
+        terms: [money(null, 'Deposit', res.deposit), money('+', 'Upfront costs', res.upfrontCosts), money('+', "Buyer's agent", res.agentPurchaseCost)],
+        result: res.cashAtSettlement, format: 'money'
+      },
+      annualRent: {
+        title: 'Rent collected',
+        terms: [money(null, 'Weekly rent', ctx.weeklyRent), { op: '×', label: 'Weeks let (52 − vacancy)', value: 52 - ctx.rentAllowances.vacancyWeeks, format: 'number' }],
+        result: res.annualRent, format: 'money'
+      },
+      annualExpenses: {
+        title: 'Itemised expenses',
+        terms: [money(null, 'Council rates', e.councilRates), money('+', 'Water', e.waterRates), money('+', 'Insurance', e.landlordInsurance),
+          money('+', 'Management fee', e.managementFee), money('+', 'Maintenance', e.maintenance), money('+', 'Re-letting and excess', e.lettingCosts)],
+        result: res.itemisedExpenses, format: 'money'
+      },
+      netGearingPreDep: {
+        title: 'Net gearing before depreciation',
+        terms: [money(null, 'Rent collected', res.annualRent), money('−', 'Expenses', res.itemisedExpenses), money('−', 'Interest', res.annualInterest)],
+        result: res.preDepResult, format: 'money'
+      },
+      taxableLoss: {
+        title: 'Taxable result',
+        terms: [money(null, 'Net gearing', res.preDepResult), money('−', 'Plant (Div 40)', dep.div40), money('−', 'Capital works (Div 43)', dep.div43)],
+        result: res.taxableLoss, format: 'money'
+      },
+      annualTaxSavings: {
+        title: 'Tax benefit',
+        terms: owners.reduce((terms, o, i) => terms.concat(
+          money(i ? '+' : null, `${o}: tax without property`, res.taxEffect.without[i].total),
+          money('−', `${o}: tax with property`, res.taxEffect.with[i].total)), []),
+        result: res.annualTaxSavings, format: 'money'
+      },
+      oopBeforeTax: {
+        title: 'Out-of-pocket before tax',
+        terms: [money(null, 'Expenses', res.itemisedExpenses), money('+', 'Interest', res.annualInterest), money('+', 'Principal', res.annualPrincipal),
+          money('−', 'Rent collected', res.annualRent)],
+        result: res.oopBeforeTax, format: 'money'
+      },
+      oopAfterTax: {
+        title: 'Out-of-pocket after tax',
+        terms: [money(null, 'Out-of-pocket before tax', res.oopBeforeTax), money('−', 'Tax benefit', res.annualTaxSavings)],
+        result: res.oopAfterTax, format: 'money'
+      },
+      finalNetWorth: {
+        title: `Invest − No Invest in year ${last.y}`,
+        terms: [money(null, 'Investment equity after sale and CGT', last.ipEquity), money('+', 'Other properties after sale', last.portfolioEquity),
+          money('+', 'PPOR equity', last.pporEquityInvest), money('+', 'Offset balances', last.offsetsInvest),
+          money('+', 'Cumulative after-tax cashflow (if positive)', last.retainedCashflow),
+          money('−', 'No Invest PPOR equity', last.pporEquityNoInvest), money('−', 'No Invest PPOR offset', last.pporOffsetNoInvest)],
+        result: last.investNetWorth - last.noInvestNetWorth, format: 'money'
+      },
+      // The deposit alone is redirected to the PPOR loan; upfront costs are not
+      pporLumpSum: {
+        title: 'No Invest: lump sum paid off the PPOR loan at the start',
+        terms: [money(null, redrawFunded ? 'Deposit (none: the purchase would be funded by a PPOR redraw)' : 'Deposit', redrawFunded ? 0 : Math.max(0, res.deposit))],
+        result: res.projection.lumpSum, format: 'money'
+      }
+    };
+  }
+
+  function evaluateWorking(w){
+    return w.terms.reduce((acc, t) => {
+      if (!t.op) return t.value;
+      if (t.op === '+') return acc + t.value;
+      if (t.op === '−') return acc - t.value;
+      if (t.op === '×') return acc * t.value;
+      return acc / t.value;
+    }, 0);
+  }
+
+  // Source for a Web Worker: projectScenario plus every function and constant it reaches
+  function source(){
+    const fns = [
+      incomeTaxAnnual, bracketsForYear, lowIncomeTaxOffset, helpRepayment, householdTax, propertyTaxEffect, effectiveMarginalRate,
+      annuityMonthlyPayment, rentForYear, rateForYear, loanRepayment, stepLoanYear, capitalGainsOnSale, addGainToPeople, projectScenario
+    ];
+    return `const taxSettings = ${JSON.stringify(taxSettings)};\nconst companyTaxRate = ${companyTaxRate};\n` + fns.map(String).join('\n');
+  }
+
+  return {
+    defaultTaxBrackets,
+    taxSettings,
+    defaultLmiTiers,
+    cityAppreciationRates,
+    projectionStartYear,
+    companyTaxRate,
+    incomeTaxAnnual,
+    bracketsForYear,
+    lowIncomeTaxOffset,
+    helpRepayment,
+    householdTax,
+    propertyTaxEffect,
+    effectiveMarginalRate,
+    annuityMonthlyPayment,
+    estimateYearOneInterestPI,
+    loanRepayment,
+    stepLoanYear,
+    rentForYear,
+    rateForYear,
+    lmiRate,
+    estimateLmiCost,
+    capitalGainsOnSale,
+    projectScenario,
+    calculate,
+    working,
+    evaluateWorking,
+    source
+  };
+});
@@ -0,0 +1,159 @@
+(function(){
+  "use strict";
+
+  /**
+   * Monte Carlo simulation of the projection. Each run draws a path of annual capital growth,
+   * investment loan rates and vacancy weeks from a seeded PRNG, runs the full projection
+   * (the engine's projectScenario) and records both net worths. Runs in a Web Worker built
+   * from the engine's source so the page stays responsive.
+   */
+
+  // mulberry32: small, fast, seedable 32-bit PRNG returning floats in [0, 1)
+  function createRng(seed){
+    let a = seed >>> 0;
+    return function(){
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal draw (Box-Muller)
+  function normalDraw(rng){
+    let u = 0;
+    while (u === 0) u = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+  }
+
+  /**
+   * One random path for the projection ctx.
+   * opts: { growthVolPct, rateMeanPct, rateVolPct, rateReversion, vacancyVolWeeks }
+   * Growth shocks are drawn independently each year and shared by every property (one housing market).
+   * The IP rate starts at today's rate and follows a mean-reverting walk towards rateMeanPct;
+   * the PPOR rate moves by the same amount. Vacancy weeks are centred on ctx.rentAllowances.vacancyWeeks
+   * and clamped to 0–52.
+   */
+  function samplePath(ctx, opts, rng){
+    const growthShocks = [];
+    const vacancyPath = [];
+    const rateSchedule = [];
+    let ipRate = ctx.interestRate;
+    for (let y = 1; y <= ctx.horizonYears; y++){
+      growthShocks.push(opts.growthVolPct * normalDraw(rng) / 100);
+      if (y > 1) ipRate = Math.max(0, ipRate + opts.rateReversion * (opts.rateMeanPct - ipRate) + opts.rateVolPct * normalDraw(rng));
+      rateSchedule.push({ year: y, ipRate, pporRate: Math.max(0, ctx.pporRate + ipRate - ctx.interestRate) });
+      vacancyPath.push(Math.min(52, Math.max(0, ctx.rentAllowances.vacancyWeeks + opts.vacancyVolWeeks * normalDraw(rng))));
+    }
+    return { growthShocks, vacancyPath, rateSchedule };
+  }
+
+  // Linear-interpolated percentile of an ascending array (p in 0–1)
+  function percentile(sorted, p){
+    if (!sorted.length) return NaN;
+    const idx = (sorted.length - 1) * p;
+    const lo = Math.floor(idx);
+    const hi = Math.min(sorted.length - 1, lo + 1);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+  }
+
+  // Per-year { p10, p50, p90 } from a [year][run] matrix
+  function percentileBands(matrix){
+    return matrix.map(values => {
+      const sorted = Array.from(values).sort((a, b) => a - b);
+      return { p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) };
+    });
+  }
+
+  /**
+   * Runs opts.runs projections. opts also holds seed, growthMeanPct and the samplePath settings.
+   * project(ctx) must return { years: [{ investNetWorth, noInvestNetWorth }] }.
+   * Returns { runs, seed, invest: bands, noInvest: bands, probInvestWins }.
+   */
+  function simulate(ctx, opts, project, onProgress){
+    const rng = createRng(opts.seed);
+    const horizon = ctx.horizonYears;
+    const invest = [];
+    const noInvest = [];
+    for (let i = 0; i < horizon; i++){
+      invest.push(new Float64Array(opts.runs));
+      noInvest.push(new Float64Array(opts.runs));
+    }
+    let wins = 0;
+    for (let run = 0; run < opts.runs; run++){
+      const path = samplePath(ctx, opts, rng);
+      const result = project(Object.assign({}, ctx, { appreciationPct: opts.growthMeanPct / 100 }, path));
+      result.years.forEach((row, i) => {
+        invest[i][run] = row.investNetWorth;
+        noInvest[i][run] = row.noInvestNetWorth;
+      });
+      if (invest[horizon - 1][run] > noInvest[horizon - 1][run]) wins++;
+      if (onProgress && (run + 1) % 100 === 0) onProgress((run + 1) / opts.runs);
+    }
+    return { runs: opts.runs, seed: opts.seed, invest: percentileBands(invest), noInvest: percentileBands(noInvest), probInvestWins: wins / opts.runs };
+  }
+
+  // Worker script: the engine source followed by this module's pure functions
+  function workerSource(engineSource){
+    return '"use strict";\n' + engineSource + '\n' +
+      [createRng, normalDraw, samplePath, percentile, percentileBands, simulate].map(String).join('\n') +
+      '\nself.onmessage = function(e){\n' +
+      '  const result = simulate(e.data.ctx, e.data.opts, projectScenario, function(p){ self.postMessage({ progress: p }); });\n' +
+      '  self.postMessage({ result: result });\n' +
+      '};\n';
+  }
+
+  let activeWorker = null;
+
+  /**
+   * Runs the simulation off the main thread. engineSource must define projectScenario and its
+   * dependencies; fallbackProject is used on the main thread when Workers are unavailable.
+   * A new run cancels one still in progress. Resolves with the simulate() result.
+   */
+  function run(ctx, opts, engineSource, fallbackProject, onProgress){
+    if (activeWorker){
+      activeWorker.terminate();
+      activeWorker = null;
+    }
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined'){
+      return Promise.resolve(simulate(ctx, opts, fallbackProject, onProgress));
+    }
+    return new Promise((resolve, reject) => {
+      // A Blob URL lets the worker start from file:// pages without a separate script file
+      const url = URL.createObjectURL(new Blob([workerSource(engineSource)], { type: 'text/javascript' }));
+      const worker = new Worker(url);
+      activeWorker = worker;
+      const finish = () => {
+        worker.terminate();
+        URL.revokeObjectURL(url);
+        if (activeWorker === worker) activeWorker = null;
+      };
+      worker.onmessage = (e) => {
+        if (e.data.progress !== undefined){
+          if (onProgress) onProgress(e.data.progress);
+          return;
+        }
+        finish();
+        resolve(e.data.result);
+      };
+      worker.onerror = (e) => {
+        finish();
+        reject(new Error(e.message || 'Simulation worker failed'));
+      };
+      worker.postMessage({ ctx, opts });
+    });
+  }
+
+  const api = {
+    createRng,
+    samplePath,
+    percentile,
+    simulate,
+    run
+  };
+
+  // Browser global, or CommonJS when the simulation is loaded in Node
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else window.MonteCarlo = api;
+})();
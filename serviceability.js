@@ -0,0 +1,79 @@
+(function(){
+  "use strict";
+
+  /**
+   * Lender-style serviceability (borrowing capacity) for the purchase today.
+   * Income: after-tax salaries plus rent shaded to ~80%. Expenses: the higher of declared
+   * living costs and a household-size benchmark. Commitments: existing loans and the new
+   * loan assessed as P&I at their rate plus the buffer; IO loans over the residual P&I term.
+   */
+
+  // Indicative monthly living-expense floor in the style of the Household Expenditure Measure
+  const livingBenchmark = { single: 1750, couple: 2650, perDependant: 600 };
+
+  // Debt-to-income at or above this is treated as high by lenders (APRA's DTI flag)
+  const highDtiRatio = 6;
+
+  function livingExpenseBenchmark(adults, dependants){
+    const base = (adults >= 2) ? livingBenchmark.couple : livingBenchmark.single;
+    return base + Math.max(0, Math.floor(dependants || 0)) * livingBenchmark.perDependant;
+  }
+
+  function monthlyRepayment(principal, annualRatePct, years){
+    if (principal <= 0) return 0;
+    const r = (annualRatePct/100) / 12;
+    const n = Math.max(1, years * 12);
+    return r === 0 ? principal / n : principal * r / (1 - Math.pow(1 + r, -n));
+  }
+
+  // Loan that a monthly repayment supports at the given rate and term
+  function principalForRepayment(payment, annualRatePct, years){
+    if (payment <= 0) return 0;
+    const r = (annualRatePct/100) / 12;
+    const n = Math.max(1, years * 12);
+    return r === 0 ? payment * n : payment * (1 - Math.pow(1 + r, -n)) / r;
+  }
+
+  /**
+   * opts: {
+   *   netSalaryAnnual, grossSalaryAnnual, weeklyRent, rentShadingPct, adults, dependants, declaredLivingMonthly,
+   *   commitments: [{ balance, ratePct, years }], otherMonthly (e.g. HELP), otherDebt,
+   *   loanAmount, ratePct, termYears, ioYears, bufferPct
+   * }
+   * Returns { assessedRatePct, shadedRentMonthly, livingMonthly, benchmarkMonthly, commitmentsMonthly,
+   *           newLoanMonthly, surplusMonthly, maxLoan, totalDebt, grossIncomeAnnual, dti, highDti, passes }
+   */
+  function assess(opts){
+    const assessedRatePct = opts.ratePct + opts.bufferPct;
+    // IO loans are assessed over the P&I term that remains once the IO period ends
+    const assessedYears = Math.max(1, opts.termYears - Math.max(0, opts.ioYears || 0));
+    const rentAnnual = Math.max(0, opts.weeklyRent) * 52;
+    const shadedRentMonthly = rentAnnual * (opts.rentShadingPct / 100) / 12;
+    const benchmarkMonthly = livingExpenseBenchmark(opts.adults, opts.dependants);
+    const livingMonthly = Math.max(opts.declaredLivingMonthly || 0, benchmarkMonthly);
+    const commitmentsMonthly = (opts.commitments || []).reduce((sum, c) =>
+      sum + monthlyRepayment(c.balance, c.ratePct + opts.bufferPct, c.years), 0) + (opts.otherMonthly || 0);
+    const available = opts.netSalaryAnnual / 12 + shadedRentMonthly - livingMonthly - commitmentsMonthly;
+    const newLoanMonthly = monthlyRepayment(opts.loanAmount, assessedRatePct, assessedYears);
+    const surplusMonthly = available - newLoanMonthly;
+    const maxLoan = principalForRepayment(available, assessedRatePct, assessedYears);
+    const totalDebt = opts.loanAmount + (opts.commitments || []).reduce((sum, c) => sum + c.balance, 0) + (opts.otherDebt || 0);
+    const grossIncomeAnnual = opts.grossSalaryAnnual + rentAnnual;
+    const dti = grossIncomeAnnual > 0 ? totalDebt / grossIncomeAnnual : Infinity;
+    return {
+      assessedRatePct, shadedRentMonthly, livingMonthly, benchmarkMonthly, commitmentsMonthly, newLoanMonthly,
+      surplusMonthly, maxLoan, totalDebt, grossIncomeAnnual, dti, highDti: dti >= highDtiRatio,
+      passes: surplusMonthly >= 0
+    };
+  }
+
+  const api = {
+    livingExpenseBenchmark,
+    highDtiRatio,
+    assess
+  };
+
+  // Browser global, or CommonJS when the engine is loaded in Node
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else window.Serviceability = api;
+})();
@@ -0,0 +1,195 @@
+(function(){
+  "use strict";
+
+  /**
+   * Transfer (stamp) duty schedules for 2025-26, general/investor rates.
+   * First-home buyer and off-the-plan concessions are not modeled since the
+   * purchase is an investment property.
+   *
+   * Each band is { from, base, rate } where duty = base + rate × (price − from)
+   * for the highest band whose `from` is below the price. A band with
+   * `flatRate` instead applies that rate to the whole dutiable value
+   * (e.g. VIC $960k–$2M, ACT above $1.455M).
+   */
+  const dutySchedules = {
+    NSW: {
+      name: 'New South Wales',
+      bands: [
+        { from: 0, base: 0, rate: 0.0125 },
+        { from: 17000, base: 212, rate: 0.015 },
+        { from: 36000, base: 497, rate: 0.0175 },
+        { from: 97000, base: 1564, rate: 0.035 },
+        { from: 364000, base: 10909, rate: 0.045 },
+        { from: 1212000, base: 49069, rate: 0.055 },
+        { from: 3636000, base: 182389, rate: 0.07 },
+      ],
+      foreignSurchargePct: 0.09,
+      mortgageRegistrationFee: 165.40,
+      transferFee: () => 165.40
+    },
+    VIC: {
+      name: 'Victoria',
+      bands: [
+        { from: 0, base: 0, rate: 0.014 },
+        { from: 25000, base: 350, rate: 0.024 },
+        { from: 130000, base: 2870, rate: 0.06 },
+        { from: 960000, flatRate: 0.055 },
+        { from: 2000000, base: 110000, rate: 0.065 },
+      ],
+      foreignSurchargePct: 0.08,
+      mortgageRegistrationFee: 132.70,
+      // $98.90 + $2.34 per $1,000, capped
+      transferFee: (price) => Math.min(3609, 98.90 + 2.34 * Math.floor(price / 1000))
+    },
+    QLD: {
+      name: 'Queensland',
+      bands: [
+        { from: 0, base: 0, rate: 0 },
+        { from: 5000, base: 0, rate: 0.015 },
+        { from: 75000, base: 1050, rate: 0.035 },
+        { from: 540000, base: 17325, rate: 0.045 },
+        { from: 1000000, base: 38025, rate: 0.0575 },
+      ],
+      foreignSurchargePct: 0.08,
+      mortgageRegistrationFee: 238.14,
+      // $238.14 + $44.71 per $10,000 (or part) over $180,000
+      transferFee: (price) => 238.14 + 44.71 * Math.ceil(Math.max(0, price - 180000) / 10000)
+    },
+    WA: {
+      name: 'Western Australia',
+      bands: [
+        { from: 0, base: 0, rate: 0.019 },
+        { from: 120000, base: 2280, rate: 0.0285 },
+        { from: 150000, base: 3135, rate: 0.038 },
+        { from: 360000, base: 11115, rate: 0.0475 },
+        { from: 725000, base: 28453, rate: 0.0515 },
+      ],
+      foreignSurchargePct: 0.07,
+      mortgageRegistrationFee: 216.10,
+      // Approximation of the scaled Landgate fee
+      transferFee: (price) => 216.10 + 20 * Math.ceil(Math.max(0, price - 85000) / 100000)
+    },
+    SA: {
+      name: 'South Australia',
+      bands: [
+        { from: 0, base: 0, rate: 0.01 },
+        { from: 12000, base: 120, rate: 0.02 },
+        { from: 30000, base: 480, rate: 0.03 },
+        { from: 50000, base: 1080, rate: 0.035 },
+        { from: 100000, base: 2830, rate: 0.04 },
+        { from: 200000, base: 6830, rate: 0.0425 },
+        { from: 250000, base: 8955, rate: 0.0475 },
+        { from: 300000, base: 11330, rate: 0.05 },
+        { from: 500000, base: 21330, rate: 0.055 },
+      ],
+      foreignSurchargePct: 0.07,
+      mortgageRegistrationFee: 198.00,
+      // Approximation of the scaled Land Services SA fee
+      transferFee: (price) => 440 + 86 * Math.ceil(Math.max(0, price - 50000) / 10000)
+    },
+    TAS: {
+      name: 'Tasmania',
+      bands: [
+        { from: 0, base: 50, rate: 0 },
+        { from: 3000, base: 50, rate: 0.0175 },
+        { from: 25000, base: 435, rate: 0.0225 },
+        { from: 75000, base: 1560, rate: 0.035 },
+        { from: 200000, base: 5935, rate: 0.04 },
+        { from: 375000, base: 12935, rate: 0.0425 },
+        { from: 725000, base: 27810, rate: 0.045 },
+      ],
+      foreignSurchargePct: 0.08,
+      mortgageRegistrationFee: 159.35,
+      transferFee: () => 247.33
+    },
+    ACT: {
+      name: 'Australian Capital Territory',
+      // Non-owner-occupier rates
+      bands: [
+        { from: 0, base: 0, rate: 0.012 },
+        { from: 200000, base: 2400, rate: 0.022 },
+        { from: 300000, base: 4600, rate: 0.034 },
+        { from: 500000, base: 11400, rate: 0.0432 },
+        { from: 750000, base: 22200, rate: 0.059 },
+        { from: 1000000, base: 36950, rate: 0.064 },
+        { from: 1455000, flatRate: 0.0454 },
+      ],
+      foreignSurchargePct: 0,
+      mortgageRegistrationFee: 178.00,
+      transferFee: () => 470.00
+    },
+    NT: {
+      name: 'Northern Territory',
+      // Up to $525k: D = 0.06571441 × V² + 15 × V, where V = price / 1000
+      formula: (price) => {
+        const v = price / 1000;
+        return 0.06571441 * v * v + 15 * v;
+      },
+      bands: [
+        { from: 525000, flatRate: 0.0495 },
+        { from: 3000000, flatRate: 0.0575 },
+        { from: 5000000, flatRate: 0.0595 },
+      ],
+      foreignSurchargePct: 0,
+      mortgageRegistrationFee: 177.00,
+      transferFee: () => 177.00
+    }
+  };
+
+  // Investment city -> state/territory whose duty schedule applies
+  const cityStates = {
+    sydney: 'NSW',
+    melbourne: 'VIC',
+    brisbane: 'QLD',
+    perth: 'WA',
+    adelaide: 'SA',
+    hobart: 'TAS',
+    canberra: 'ACT',
+    darwin: 'NT'
+  };
+
+  function stateForCity(city){
+    return cityStates[city] || null;
+  }
+
+  function transferDuty(price, state){
+    const s = dutySchedules[state];
+    if (!s || price <= 0) return 0;
+    let band = null;
+    for (let i = 0; i < s.bands.length; i++) {
+      if (price > s.bands[i].from) band = s.bands[i];
+    }
+    if (!band) return s.formula ? s.formula(price) : 0;
+    if (band.flatRate !== undefined) return price * band.flatRate;
+    return band.base + band.rate * (price - band.from);
+  }
+
+  /**
+   * Itemised upfront purchase costs for an investment property.
+   * opts: { price, state, foreign (bool), conveyancing ($) }
+   * Returns { state, duty, foreignSurcharge, mortgageRegistration, transferFee, conveyancing, total }
+   */
+  function calculateUpfrontCosts(opts){
+    const price = Math.max(0, opts.price || 0);
+    const state = dutySchedules[opts.state] ? opts.state : 'NSW';
+    const s = dutySchedules[state];
+    const duty = transferDuty(price, state);
+    const foreignSurcharge = opts.foreign ? price * s.foreignSurchargePct : 0;
+    const mortgageRegistration = s.mortgageRegistrationFee;
+    const transferFee = s.transferFee(price);
+    const conveyancing = Math.max(0, opts.conveyancing || 0);
+    const total = duty + foreignSurcharge + mortgageRegistration + transferFee + conveyancing;
+    return { state, duty, foreignSurcharge, mortgageRegistration, transferFee, conveyancing, total };
+  }
+
+  const api = {
+    schedules: dutySchedules,
+    stateForCity,
+    transferDuty,
+    calculateUpfrontCosts
+  };
+
+  // Browser global, or CommonJS when the engine is loaded in Node
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else window.StampDuty = api;
+})();
@@ -0,0 +1,38 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const packs = require('../assumptions.js');
+const engine = require('../engine.js');
+
+test('the engine defaults come from the default pack', () => {
+  const pack = packs.find(packs.defaultPackId);
+  assert.equal(engine.defaultTaxBrackets, pack.brackets);
+  assert.equal(engine.taxSettings, pack.taxSettings);
+  assert.equal(engine.projectionStartYear, pack.year);
+});
+
+test('every built-in pack survives an export and import unchanged', () => {
+  packs.packs.forEach(pack => {
+    assert.deepEqual(packs.validate(JSON.parse(JSON.stringify(packs.toFile(pack)))), pack);
+  });
+});
+
+test('imported packs fill gaps from the default pack and reject bad values', () => {
+  const pack = packs.validate({ id: 'mine', name: 'Mine', year: 2025, brackets: [{ threshold: 0, rate: 0 }], medicareRate: 0.02, cityGrowth: { perth: 5 } });
+  assert.equal(pack.cityGrowth.perth, 5);
+  assert.equal(pack.cityGrowth.sydney, packs.find(packs.defaultPackId).cityGrowth.sydney);
+  assert.deepEqual(pack.taxSettings, packs.find(packs.defaultPackId).taxSettings);
+  assert.deepEqual(pack.bracketChanges, []);
+  assert.throws(() => packs.validate({ id: 'x', name: 'X', year: 2025, brackets: [{ threshold: 0, rate: 16 }], medicareRate: 0.02 }), /brackets/);
+  assert.throws(() => packs.validate({ id: 'x', name: 'X', year: 2025, brackets: [{ threshold: 0, rate: 0 }], medicareRate: 0.02, taxSettings: { help: [{ from: 1 }] } }), /taxSettings\.help/);
+  assert.throws(() => packs.validate({ format: 'property-calculator-assumptions', version: 2, pack: {} }), /version/);
+});
+
+test('2024-25 HELP repayments are a share of the whole income', () => {
+  const settings = packs.find('2024-25').taxSettings;
+  assert.equal(engine.helpRepayment(54000, 50000, settings), 0);
+  assert.equal(engine.helpRepayment(60000, 50000, settings), 600);
+  assert.equal(engine.helpRepayment(200000, 50000, settings), 20000);
+  assert.equal(engine.helpRepayment(200000, 5000, settings), 5000);
+});
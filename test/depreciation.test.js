@@ -0,0 +1,49 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const depreciation = require('../depreciation.js');
+
+const near = (actual, expected, tolerance, msg) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${msg || 'value'}: expected ${expected}, got ${actual}`);
+
+// A new property with no capital works, so each year's total is the plant alone
+const plantOnly = (asset, years) => depreciation.schedule({
+  condition: 'new', buildYear: 1980, constructionCost: 0, firstYear: 2025, years, assets: [asset]
+}).years.map(y => y.div40);
+
+test('diminishing value declines at 200% of the written-down value over the effective life', () => {
+  const declines = plantOnly({ name: 'Carpets', cost: 10000, life: 10, method: 'dv' }, 3);
+  [2000, 1600, 1280].forEach((expected, i) => near(declines[i], expected, 1e-9, `year ${i + 1}`));
+  // A life of two years or less writes the asset off in the first year
+  assert.deepEqual(plantOnly({ name: 'Blinds', cost: 900, life: 2, method: 'dv' }, 2), [900, 0]);
+});
+
+test('prime cost declines evenly and stops at the cost', () => {
+  const declines = plantOnly({ name: 'Hot water system', cost: 10000, life: 8, method: 'pc' }, 10);
+  declines.slice(0, 8).forEach((d, i) => near(d, 1250, 1e-9, `year ${i + 1}`));
+  assert.deepEqual(declines.slice(8), [0, 0]);
+  near(declines.reduce((a, b) => a + b, 0), 10000, 1e-6, 'total');
+});
+
+test('capital works are 2.5% of the construction cost for 40 years from the build year', () => {
+  const div43 = (buildYear, firstYear, years) => depreciation.schedule({
+    condition: 'established', buildYear, constructionCost: 300000, firstYear, years, assets: []
+  }).years.map(y => y.div43);
+  assert.equal(depreciation.capitalWorksRate, 0.025);
+  assert.deepEqual(div43(2010, 2025, 3), [7500, 7500, 7500]);
+  // The 40th year is the last one claimed
+  assert.deepEqual(div43(1990, 2029, 2), [7500, 0]);
+  // Buildings started before 16 September 1987 do not qualify
+  assert.deepEqual(div43(1985, 2025, 1), [0]);
+});
+
+test('plant is only claimed on a new property', () => {
+  const opts = { buildYear: 2010, constructionCost: 300000, firstYear: 2025, years: 2, assets: [{ name: 'Oven', cost: 2500, life: 12, method: 'dv' }] };
+  const established = depreciation.schedule(Object.assign({ condition: 'established' }, opts));
+  assert.equal(established.plantAllowed, false);
+  assert.deepEqual(established.years.map(y => y.total), [7500, 7500]);
+  const brandNew = depreciation.schedule(Object.assign({ condition: 'new' }, opts));
+  assert.equal(brandNew.plantAllowed, true);
+  near(brandNew.years[0].total, 7500 + 2500 * 2 / 12, 1e-9, 'year 1 total');
+});
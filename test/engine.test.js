@@ -0,0 +1,267 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine.js');
+
+const near = (actual, expected, tolerance, msg) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${msg || 'value'}: expected ${expected}, got ${actual}`);
+
+const singleTaxOpts = { brackets: engine.defaultTaxBrackets, levyRate: 0.02, couple: false, dependants: 0, privateCover: true };
+
+// A single-property purchase with typical assumptions
+function baseInputs(overrides){
+  return Object.assign({
+    salarySelf: 120000, salarySpouse: 90000, ownershipSelf: 0.5, dependants: 0, privateCover: true,
+    helpDebts: [0, 0], brackets: engine.defaultTaxBrackets, medicareRate: 0.02,
+    purchasePrice: 800000, deposit: 160000, dutyState: 'NSW', foreignPurchaser: false, conveyancing: 1800,
+    manualUpfrontCosts: null, agentPurchasePct: 0, agentSellingPct: 0.02, marketingCosts: 3000,
+    lmiTiers: engine.defaultLmiTiers,
+    interestRate: 6.2, termYears: 30, loanType: 'P&I', ioYears: 0,
+    ipOffsetOpening: 0, ipOffsetMonthly: 0, depositSource: 'cash', surplusDestination: 'repay', pporExtraMonthly: 0,
+    weeklyRent: 650,
+    rentAllowances: { vacancyWeeks: 2, leaseMonths: 12, lettingFeeWeeks: 1, advertisingCost: 350, landlordExcess: 0 },
+    councilRates: 2000, waterRates: 1000, landlordInsurance: 1500, maintenancePct: 0.005, pmFeePct: 0.07,
+    depreciation: { condition: 'established', buildYear: 2010, constructionCost: 300000, assets: [] },
+    rentShadingPct: 80, portfolio: [], investDelayYears: 0,
+    appreciationPct: 0.06, horizonYears: 10, altReturn: 0.07, altDividendYield: 0.03, altFrankedPct: 0.7,
+    pporValueStart: 1000000, pporBalanceStart: 500000, pporRate: 6, pporTermYears: 25, pporAppreciationPct: 0.06,
+    rentGrowth: 0.03, cpiGrowth: 0.025, salaryGrowthSelf: 0.03, salaryGrowthSpouse: 0.03, maintenanceIndex: 'value',
+    rateSchedule: [], bufferPct: 3, livingExpensesMonthly: 4000, pporOffsetOpening: 0, pporOffsetMonthly: 0
+  }, overrides);
+}
+
+test('Stage 3 tax on $100,000', () => {
+  assert.equal(engine.incomeTaxAnnual(100000, engine.defaultTaxBrackets), 20788);
+  const [tax] = engine.householdTax([{ taxableIncome: 100000, investmentLoss: 0, helpDebt: 0 }], singleTaxOpts);
+  assert.equal(tax.lito, 0);
+  assert.equal(tax.medicare, 2000);
+  assert.equal(tax.total, 22788);
+});
+
+test('MLS follows the MLS income tiers', () => {
+  const noCover = Object.assign({}, singleTaxOpts, { privateCover: false });
+  const mls = (people, opts) => engine.householdTax(people, opts).map(t => t.mls);
+  const person = (taxableIncome) => ({ taxableIncome, investmentLoss: 0, helpDebt: 0 });
+  const single = engine.taxSettings.mls.single;
+  assert.deepEqual(mls([person(single[0].from)], noCover), [0]);
+  assert.deepEqual(mls([person(single[0].from + 1000)], noCover), [(single[0].from + 1000) * single[0].rate]);
+  assert.deepEqual(mls([person(single[1].from + 1000)], noCover), [(single[1].from + 1000) * single[1].rate]);
+  // A couple is tested on combined income: each partner pays the family tier's rate on their own income
+  const family = engine.taxSettings.mls.family;
+  const couple = Object.assign({}, noCover, { couple: true });
+  assert.deepEqual(mls([person(family[0].from - 40000), person(40000)], couple), [0, 0]);
+  assert.deepEqual(mls([person(family[1].from - 39000), person(40000)], couple),
+    [(family[1].from - 39000) * family[1].rate, 40000 * family[1].rate]);
+  // Below the Medicare levy low-income threshold no surcharge is payable
+  assert.equal(mls([person(family[1].from), person(20000)], couple)[1], 0);
+});
+
+test('no tax up to the tax-free threshold', () => {
+  assert.equal(engine.incomeTaxAnnual(18200, engine.defaultTaxBrackets), 0);
+  assert.equal(engine.incomeTaxAnnual(-5000, engine.defaultTaxBrackets), 0);
+});
+
+test('LMI tiers at the 80/85/90/95% LVR boundaries', () => {
+  const loan = 400000;
+  assert.equal(engine.estimateLmiCost(80, loan, engine.defaultLmiTiers), 0);
+  assert.equal(engine.estimateLmiCost(85, loan, engine.defaultLmiTiers), 2000);
+  assert.equal(engine.estimateLmiCost(90, loan, engine.defaultLmiTiers), 4000);
+  assert.equal(engine.estimateLmiCost(95, loan, engine.defaultLmiTiers), 8000);
+  near(engine.estimateLmiCost(95.5, loan, engine.defaultLmiTiers), 14000, 1e-6, 'LMI above 95%');
+});
+
+test('30-year P&I loan fully amortises', () => {
+  const pmt = engine.annuityMonthlyPayment(500000, 6, 30);
+  near(pmt, 2997.75, 0.005, 'monthly repayment');
+  const loan = { balance: 500000, rate: 6, pmt, monthsElapsed: 0, ioMonths: 0, termMonths: 360 };
+  let principal = 0;
+  let interest = 0;
+  for (let y = 0; y < 30; y++){
+    const year = engine.stepLoanYear(loan, 6);
+    principal += year.principal;
+    interest += year.interest;
+  }
+  near(loan.balance, 0, 0.01, 'closing balance');
+  near(principal, 500000, 0.01, 'principal repaid');
+  near(interest, pmt * 360 - 500000, 0.01, 'interest paid');
+});
+
+test('interest-only period re-amortises over the remaining term', () => {
+  const loan = { balance: 500000, rate: 6, pmt: 0, monthsElapsed: 0, ioMonths: 60, termMonths: 360 };
+  loan.pmt = engine.loanRepayment(loan);
+  near(loan.pmt, 2500, 1e-9, 'IO repayment');
+  for (let y = 0; y < 5; y++) engine.stepLoanYear(loan, 6);
+  assert.equal(loan.balance, 500000);
+  for (let y = 5; y < 30; y++) engine.stepLoanYear(loan, 6);
+  near(loan.balance, 0, 0.01, 'closing balance');
+});
+
+test('only an interest-only loan reverts to P&I in the projection', () => {
+  assert.ok(engine.calculate(baseInputs()).years.every(y => !y.ioRevertsThisYear));
+  const io = engine.calculate(baseInputs({ loanType: 'IO', ioYears: 5 })).years;
+  assert.deepEqual(io.filter(y => y.ioRevertsThisYear).map(y => y.y), [6]);
+});
+
+test('an offset against an interest-only loan does not pay it down', () => {
+  const res = engine.calculate(baseInputs({ loanType: 'IO', ioYears: 5, ipOffsetOpening: 50000, ipOffsetMonthly: 500 }));
+  res.years.slice(0, 5).forEach(y => {
+    assert.equal(y.balance, res.loanAmount);
+    assert.equal(y.principalYear, 0);
+  });
+  assert.ok(res.years[5].balance < res.loanAmount);
+  // The projection's first year matches the year-1 summary
+  assert.equal(res.years[0].principalYear, res.annualPrincipal);
+  near(res.years[0].interestYear, res.annualInterest, 1e-6, 'year-1 interest');
+});
+
+test('CGT discount applies after 12 months', () => {
+  const sale = (monthsHeld) => engine.capitalGainsOnSale({
+    salePrice: 900000, purchasePrice: 800000, upfrontCosts: 0, agentPurchaseCost: 0, sellingCosts: 0,
+    capitalWorksClaimed: 0, monthsHeld, ownershipSelf: 1, ownershipSpouse: 0,
+    people: [{ taxableIncome: 0, investmentLoss: 0, helpDebt: 0 }, { taxableIncome: 0, investmentLoss: 0, helpDebt: 0 }],
+    taxOpts: singleTaxOpts
+  });
+  assert.equal(sale(11).netGain, 100000);
+  assert.equal(sale(12).netGain, 50000);
+});
+
+test('calculate() year-1 summary is internally consistent', () => {
+  const res = engine.calculate(baseInputs());
+  assert.equal(res.lmiCost, 0);
+  assert.equal(res.loanAmount, 640000);
+  assert.equal(res.lvr, 80);
+  assert.equal(res.annualRent, 650 * 50);
+  near(res.oopAfterTax, res.oopBeforeTax - res.annualTaxSavings, 1e-9, 'after-tax out-of-pocket');
+  near(res.cashAtSettlement, 160000 + res.upfrontCosts, 1e-9, 'cash at settlement');
+  assert.equal(res.years.length, 10);
+  assert.ok(res.sale.cgt > 0);
+});
+
+test('calculate() capitalises LMI above 80% LVR', () => {
+  const res = engine.calculate(baseInputs({ deposit: 80000 }));
+  assert.equal(res.lmiCost, 720000 * 0.01);
+  assert.equal(res.loanAmount, 720000 + res.lmiCost);
+});
+
+test('legislated bracket changes apply from the year they take effect', () => {
+  const changes = [
+    { year: 2026, rates: [{ threshold: 18200, rate: 0.15 }] },
+    { year: 2027, rates: [{ threshold: 18200, rate: 0.14 }] }
+  ];
+  assert.equal(engine.bracketsForYear(engine.defaultTaxBrackets, changes, 2025)[1].rate, 0.16);
+  assert.equal(engine.bracketsForYear(engine.defaultTaxBrackets, changes, 2026)[1].rate, 0.15);
+  assert.equal(engine.bracketsForYear(engine.defaultTaxBrackets, changes, 2030)[1].rate, 0.14);
+  // A $40,000 earner alone: a bigger loss at the lower rate means a smaller benefit, from year 2 only
+  const single = { salarySelf: 40000, salarySpouse: 0, ownershipSelf: 1 };
+  const fixed = engine.calculate(baseInputs(single)).years;
+  const changing = engine.calculate(baseInputs(Object.assign({ bracketChanges: changes, startYear: 2025 }, single))).years;
+  assert.equal(changing[0].taxSavings, fixed[0].taxSavings);
+  assert.ok(changing[1].taxSavings < fixed[1].taxSavings);
+  assert.ok(changing[2].taxSavings < fixed[2].taxSavings);
+});
+
+test('refinance and lump-sum events change the loan from their year', () => {
+  const plain = engine.calculate(baseInputs()).years;
+  const refi = engine.calculate(baseInputs({ events: [{ year: 4, type: 'refinance', rate: 5.2, termYears: 25, cost: 800 }] })).years;
+  assert.equal(refi[2].balance, plain[2].balance);
+  assert.equal(refi[3].ipRateYear, 5.2);
+  assert.ok(refi[3].interestYear < plain[3].interestYear);
+  assert.equal(refi[3].events[0].type, 'refinance');
+  const lump = engine.calculate(baseInputs({ events: [{ year: 3, type: 'lumpSum', amount: 50000 }] })).years;
+  // Repayments are recalculated on the lower balance, so a little less principal is repaid afterwards
+  near(lump[2].balance, plain[2].balance - 50000, 1000, 'balance after the lump sum');
+  near(lump[2].afterTaxCashflow, plain[2].afterTaxCashflow - 50000, 3000, 'lump sum paid from cashflow');
+  assert.equal(lump[2].events[0].paid, 50000);
+});
+
+test('cash-out interest spent privately is not deductible', () => {
+  const plain = engine.calculate(baseInputs()).years;
+  const res = engine.calculate(baseInputs({ events: [{ year: 5, type: 'cashOut', lvrPct: 80 }] }));
+  const year = res.years[4];
+  assert.ok(year.events[0].released > 0);
+  assert.ok(year.interestYear > plain[4].interestYear);
+  // The extra interest is a cost but not a deduction, and the cash went into the PPOR loan
+  near(year.taxable, year.rentThisYear - year.expensesThisYear - plain[4].interestYear - year.depreciation,
+    0.05 * plain[4].interestYear, 'taxable result');
+  assert.ok(year.pporBalanceInvest < plain[4].pporBalanceInvest - year.events[0].released * 0.9);
+});
+
+test('a cash-out re-amortises the PPOR loan on its lower balance', () => {
+  const plain = engine.calculate(baseInputs()).years;
+  const res = engine.calculate(baseInputs({ events: [{ year: 3, type: 'cashOut', lvrPct: 80 }] })).years;
+  const released = res[2].events[0].released;
+  assert.ok(res[2].balance > plain[2].balance + released * 0.95);
+  // Repayments fall with the balance, so the PPOR loan is still running in the following years
+  const paidDown = (years, y) => years[y - 2].pporBalanceInvest - years[y - 1].pporBalanceInvest;
+  assert.ok(res[4].pporBalanceInvest > 0);
+  assert.ok(paidDown(res, 5) < paidDown(plain, 5));
+  near(res[4].pporBalanceInvest / res[2].pporBalanceInvest, plain[4].pporBalanceInvest / plain[2].pporBalanceInvest, 0.02, 'share of the PPOR balance left two years on');
+});
+
+test('an early sale ends the property and moves the proceeds to the PPOR loan', () => {
+  const plain = engine.calculate(baseInputs());
+  const res = engine.calculate(baseInputs({ events: [{ year: 6, type: 'sell' }, { year: 8, type: 'lumpSum', amount: 10000 }] }));
+  assert.equal(res.sale.year, 6);
+  assert.equal(res.years[5].events[0].type, 'sell');
+  assert.equal(res.years[6].rentThisYear, 0);
+  assert.equal(res.years[6].balance, 0);
+  assert.ok(res.years[5].pporBalanceInvest < plain.years[5].pporBalanceInvest);
+  const skipped = res.projection.events.find(e => e.type === 'lumpSum');
+  assert.equal(skipped.applied, false);
+  assert.match(skipped.note, /sold in year 6/);
+  // No events leaves the projection unchanged
+  assert.deepEqual(engine.calculate(baseInputs({ events: [] })).years.map(y => y.investNetWorth), plain.years.map(y => y.investNetWorth));
+});
+
+test('property events leave the Shares/ETF path alone', () => {
+  const plain = engine.calculate(baseInputs()).years;
+  [
+    [{ year: 3, type: 'sell' }],
+    [{ year: 4, type: 'cashOut', lvrPct: 80 }],
+    [{ year: 2, type: 'refinance', rate: 5, termYears: 25, cost: 1000 }, { year: 5, type: 'lumpSum', amount: 30000 }]
+  ].forEach(events => {
+    const years = engine.calculate(baseInputs({ events })).years;
+    assert.deepEqual(years.map(y => y.sharesNetWorth), plain.map(y => y.sharesNetWorth));
+    assert.deepEqual(years.map(y => y.pporBalanceShares), plain.map(y => y.pporBalanceShares));
+    assert.notDeepEqual(years.map(y => y.investNetWorth), plain.map(y => y.investNetWorth));
+  });
+});
+
+test('a portfolio property has its own IO period and capital works', () => {
+  const property = { name: 'Property 2', buyAfter: 2, city: 'brisbane', price: 600000, deposit: 120000, rate: 6.2, termYears: 30,
+    loanType: 'IO', ioYears: 3, weeklyRent: 550, expenses: 8000, depreciation: 5000, capitalWorks: 0, funding: 'cash' };
+  const second = (overrides, property2) => engine.calculate(baseInputs(Object.assign({ portfolio: [Object.assign({}, property, property2)] }, overrides))).portfolio[1];
+  const threeYears = second({});
+  assert.ok(threeYears.debt < threeYears.loanAmount);
+  assert.equal(second({}, { ioYears: 0 }).debt, threeYears.loanAmount);
+  // The main loan's IO period does not carry over
+  assert.equal(second({ loanType: 'IO', ioYears: 10 }).debt, threeYears.debt);
+  // Only capital works come off the cost base, so claiming it as plant leaves less CGT at sale
+  const capitalWorks = second({}, { capitalWorks: 5000 });
+  assert.equal(capitalWorks.taxableTotal, threeYears.taxableTotal);
+  assert.ok(capitalWorks.proceedsAfterTax < threeYears.proceedsAfterTax);
+});
+
+test('worker source reproduces projectScenario', () => {
+  const res = engine.calculate(baseInputs());
+  const project = new Function(engine.source() + '\nreturn projectScenario;')();
+  const workerLast = project(res.ctx).years[9];
+  assert.equal(workerLast.investNetWorth, res.years[9].investNetWorth);
+  assert.equal(workerLast.noInvestNetWorth, res.years[9].noInvestNetWorth);
+});
+
+test('worked formulas evaluate to the figures they explain', () => {
+  const variants = [
+    baseInputs(),
+    baseInputs({ deposit: 60000, loanType: 'IO', depositSource: 'pporRedraw', horizonYears: 5 }),
+    baseInputs({ weeklyRent: 1500, depreciation: { condition: 'new', buildYear: 2024, constructionCost: 350000, assets: [{ name: 'Carpets', cost: 4000, life: 10, method: 'dv' }] } })
+  ];
+  variants.forEach(inputs => {
+    const workings = engine.working(engine.calculate(inputs));
+    Object.keys(workings).forEach(key => {
+      const w = workings[key];
+      near(engine.evaluateWorking(w), w.result, 1e-6 * Math.max(1, Math.abs(w.result)), key);
+    });
+  });
+});
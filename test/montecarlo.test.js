@@ -0,0 +1,51 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const monteCarlo = require('../montecarlo.js');
+
+// Just the fields samplePath reads from a projection ctx
+const ctx = { horizonYears: 10, interestRate: 6, pporRate: 5.8, rentAllowances: { vacancyWeeks: 2 } };
+const opts = { runs: 200, seed: 42, growthMeanPct: 5, growthVolPct: 8, rateMeanPct: 6.5, rateVolPct: 0.8, rateReversion: 0.3, vacancyVolWeeks: 1.5 };
+
+// Stands in for projectScenario: net worths that follow the drawn path
+const project = (c) => ({
+  years: c.growthShocks.map((g, i) => ({
+    investNetWorth: 100000 * (1 + c.appreciationPct + g) - 1000 * c.rateSchedule[i].ipRate - 500 * c.vacancyPath[i],
+    noInvestNetWorth: 100000
+  }))
+});
+
+test('the same seed gives the same random numbers and paths', () => {
+  const a = monteCarlo.createRng(7);
+  const b = monteCarlo.createRng(7);
+  const draws = Array.from({ length: 5 }, () => a());
+  assert.deepEqual(Array.from({ length: 5 }, () => b()), draws);
+  draws.forEach(d => assert.ok(d >= 0 && d < 1));
+  const other = monteCarlo.createRng(8);
+  assert.notDeepEqual(Array.from({ length: 5 }, () => other()), draws);
+  assert.deepEqual(monteCarlo.samplePath(ctx, opts, monteCarlo.createRng(7)), monteCarlo.samplePath(ctx, opts, monteCarlo.createRng(7)));
+});
+
+test('a seeded simulation is reproducible', () => {
+  const first = monteCarlo.simulate(ctx, opts, project);
+  assert.deepEqual(monteCarlo.simulate(ctx, opts, project), first);
+  assert.notDeepEqual(monteCarlo.simulate(ctx, Object.assign({}, opts, { seed: 43 }), project).invest, first.invest);
+  assert.equal(first.seed, 42);
+  assert.equal(first.invest.length, ctx.horizonYears);
+  first.invest.forEach(band => assert.ok(band.p10 <= band.p50 && band.p50 <= band.p90));
+});
+
+test('sampled paths stay in range', () => {
+  const path = monteCarlo.samplePath(ctx, Object.assign({}, opts, { rateVolPct: 5, vacancyVolWeeks: 40 }), monteCarlo.createRng(1));
+  // The first year starts at today's rate
+  assert.equal(path.rateSchedule[0].ipRate, ctx.interestRate);
+  path.rateSchedule.forEach(r => assert.ok(r.ipRate >= 0 && r.pporRate >= 0));
+  path.vacancyPath.forEach(w => assert.ok(w >= 0 && w <= 52));
+});
+
+test('percentiles interpolate between sorted values', () => {
+  assert.equal(monteCarlo.percentile([10, 20, 30, 40, 50], 0.5), 30);
+  assert.equal(monteCarlo.percentile([10, 20], 0.1), 11);
+  assert.ok(Number.isNaN(monteCarlo.percentile([], 0.5)));
+});
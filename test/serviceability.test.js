@@ -0,0 +1,52 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const serviceability = require('../serviceability.js');
+
+const near = (actual, expected, tolerance, msg) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${msg || 'value'}: expected ${expected}, got ${actual}`);
+
+// Monthly P&I repayment, worked independently of the module
+const repayment = (principal, ratePct, years) => {
+  const r = ratePct / 100 / 12;
+  return principal * r / (1 - Math.pow(1 + r, -years * 12));
+};
+
+// A couple with one child, a home loan and a $600k investment loan
+function baseOpts(overrides){
+  return Object.assign({
+    netSalaryAnnual: 120000, grossSalaryAnnual: 160000, weeklyRent: 600, rentShadingPct: 80,
+    adults: 2, dependants: 1, declaredLivingMonthly: 2000,
+    commitments: [{ balance: 400000, ratePct: 6, years: 25 }], otherMonthly: 0, otherDebt: 0,
+    loanAmount: 600000, ratePct: 6, termYears: 30, ioYears: 0, bufferPct: 3
+  }, overrides);
+}
+
+test('loans are assessed at their rate plus the buffer', () => {
+  const res = serviceability.assess(baseOpts());
+  assert.equal(res.assessedRatePct, 9);
+  near(res.newLoanMonthly, repayment(600000, 9, 30), 1e-6, 'new loan');
+  near(res.commitmentsMonthly, repayment(400000, 9, 25), 1e-6, 'home loan');
+  // Declared living costs below the benchmark are lifted to it
+  assert.equal(res.livingMonthly, 2650 + 600);
+  near(res.shadedRentMonthly, 600 * 52 * 0.8 / 12, 1e-9, 'shaded rent');
+  near(res.surplusMonthly, 120000 / 12 + res.shadedRentMonthly - res.livingMonthly - res.commitmentsMonthly - res.newLoanMonthly, 1e-6, 'surplus');
+  // The largest loan leaves no surplus at the assessment rate
+  near(serviceability.assess(baseOpts({ loanAmount: res.maxLoan })).surplusMonthly, 0, 1e-6, 'surplus at max loan');
+  near(res.dti, 1000000 / (160000 + 600 * 52), 1e-9, 'DTI');
+  assert.equal(res.highDti, false);
+  assert.equal(serviceability.assess(baseOpts({ otherDebt: 200000, grossSalaryAnnual: 100000 })).highDti, true);
+});
+
+test('a bigger buffer lowers borrowing capacity', () => {
+  const noBuffer = serviceability.assess(baseOpts({ bufferPct: 0 }));
+  const buffered = serviceability.assess(baseOpts());
+  assert.ok(buffered.maxLoan < noBuffer.maxLoan);
+  assert.ok(buffered.surplusMonthly < noBuffer.surplusMonthly);
+});
+
+test('an interest-only loan is assessed over the P&I term left after the IO period', () => {
+  const res = serviceability.assess(baseOpts({ ioYears: 5 }));
+  near(res.newLoanMonthly, repayment(600000, 9, 25), 1e-6, 'new loan');
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const duty = require('../stampduty.js');
+
+const near = (actual, expected, tolerance, msg) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${msg || 'value'}: expected ${expected}, got ${actual}`);
+
+test('each state charges the lower band up to a band edge and the next band above it', () => {
+  // [state, band edge, duty at the edge, duty $1,000 above it]
+  [
+    ['NSW', 364000, 10909, 10909 + 0.045 * 1000],
+    ['VIC', 960000, 52670, 0.055 * 961000],
+    ['QLD', 540000, 17325, 17325 + 0.045 * 1000],
+    ['WA', 725000, 28452.5, 28453 + 0.0515 * 1000],
+    ['SA', 500000, 21330, 21330 + 0.055 * 1000],
+    ['TAS', 25000, 435, 435 + 0.0225 * 1000],
+    ['ACT', 1455000, 66070, 0.0454 * 1456000],
+    ['NT', 525000, 0.06571441 * 525 * 525 + 15 * 525, 0.0495 * 526000]
+  ].forEach(([state, edge, atEdge, above]) => {
+    near(duty.transferDuty(edge, state), atEdge, 0.01, `${state} at ${edge}`);
+    near(duty.transferDuty(edge + 1000, state), above, 0.01, `${state} above ${edge}`);
+  });
+});
+
+test('every band starts where the band below it ends', () => {
+  Object.keys(duty.schedules).forEach(state => {
+    duty.schedules[state].bands.forEach(band => {
+      // Flat-rate bands are a deliberate step (VIC from $960k, ACT above $1.455M, NT)
+      if (band.flatRate !== undefined || band.from === 0) return;
+      near(duty.transferDuty(band.from, state), band.base, 1, `${state} at ${band.from}`);
+    });
+  });
+});
+
+test('upfront costs add the foreign surcharge and fees for the state', () => {
+  const costs = duty.calculateUpfrontCosts({ price: 800000, state: 'QLD', foreign: true, conveyancing: 1800 });
+  near(costs.duty, 17325 + 0.045 * 260000, 0.01, 'duty');
+  assert.equal(costs.foreignSurcharge, 800000 * 0.08);
+  near(costs.total, costs.duty + costs.foreignSurcharge + costs.mortgageRegistration + costs.transferFee + 1800, 1e-9, 'total');
+  // An unknown state falls back to NSW
+  assert.equal(duty.calculateUpfrontCosts({ price: 800000, state: 'XX' }).state, 'NSW');
+  assert.equal(duty.stateForCity('darwin'), 'NT');
+});
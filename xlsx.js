@@ -0,0 +1,165 @@
+(function(){
+  "use strict";
+
+  /**
+   * Minimal dependency-free XLSX writer (Office Open XML in an uncompressed ZIP).
+   * Sheets are { name, rows, headerRow } where rows is an array of arrays of cells.
+   * A cell is a string, a number, null/undefined (blank), or { v: number, f: 'money' | 'pct' | 'dec' }.
+   * headerRow: true renders the first row in bold.
+   */
+
+  // Style indexes into cellXfs in styles.xml below
+  const styleIds = { bold: 1, money: 2, pct: 3, dec: 4 };
+
+  const crcTable = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes){
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /** Build a ZIP archive (store method, no compression) from [{ name, data: Uint8Array }]. */
+  function zipStore(files){
+    const enc = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(f => {
+      const nameBytes = enc.encode(f.name);
+      const crc = crc32(f.data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);          // version needed
+      local.setUint16(6, 0x0800, true);      // UTF-8 names
+      local.setUint16(8, 0, true);           // store
+      local.setUint16(10, 0, true);          // time
+      local.setUint16(12, 0x21, true);       // date: 1980-01-01
+      local.setUint32(14, crc, true);
+      local.setUint32(18, f.data.length, true);
+      local.setUint32(22, f.data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(new Uint8Array(local.buffer), nameBytes, f.data);
+
+      const dir = new DataView(new ArrayBuffer(46));
+      dir.setUint32(0, 0x02014b50, true);
+      dir.setUint16(4, 20, true);
+      dir.setUint16(6, 20, true);
+      dir.setUint16(8, 0x0800, true);
+      dir.setUint16(10, 0, true);
+      dir.setUint16(12, 0, true);
+      dir.setUint16(14, 0x21, true);
+      dir.setUint32(16, crc, true);
+      dir.setUint32(20, f.data.length, true);
+      dir.setUint32(24, f.data.length, true);
+      dir.setUint16(28, nameBytes.length, true);
+      dir.setUint32(42, offset, true);
+      central.push(new Uint8Array(dir.buffer), nameBytes);
+      offset += 30 + nameBytes.length + f.data.length;
+    });
+    const centralSize = central.reduce((n, c) => n + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let pos = 0;
+    parts.forEach(p => { out.set(p, pos); pos += p.length; });
+    return out;
+  }
+
+  function escapeXml(s){
+    return String(s).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c])
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+
+  function columnName(i){
+    let name = '';
+    for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    return name;
+  }
+
+  function cellXml(cell, ref, bold){
+    if (cell === null || cell === undefined || cell === '') return '';
+    const boldAttr = bold ? ` s="${styleIds.bold}"` : '';
+    if (typeof cell === 'object') {
+      if (!isFinite(cell.v)) return '';
+      return `<c r="${ref}" s="${styleIds[cell.f] || 0}"><v>${cell.v}</v></c>`;
+    }
+    if (typeof cell === 'number') {
+      return isFinite(cell) ? `<c r="${ref}"${boldAttr}><v>${cell}</v></c>` : '';
+    }
+    return `<c r="${ref}" t="inlineStr"${boldAttr}><is><t xml:space="preserve">${escapeXml(cell)}</t></is></c>`;
+  }
+
+  function sheetXml(sheet){
+    const rows = sheet.rows.map((row, r) => {
+      const cells = row.map((cell, c) => cellXml(cell, columnName(c) + (r + 1), sheet.headerRow && r === 0)).join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    const widest = sheet.rows.reduce((n, row) => Math.max(n, row.length), 0);
+    const cols = widest ? `<cols><col min="1" max="${widest}" width="18" customWidth="1"/></cols>` : '';
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `${cols}<sheetData>${rows}</sheetData></worksheet>`;
+  }
+
+  const stylesXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="5">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs></styleSheet>';
+
+  /** Returns the .xlsx file contents as a Uint8Array. Sheet names are trimmed to Excel's 31-character limit. */
+  function buildWorkbook(sheets){
+    const enc = new TextEncoder();
+    const names = sheets.map(s => String(s.name).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+    const files = [
+      { name: '[Content_Types].xml', xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>' },
+      { name: '_rels/.rels', xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>' },
+      { name: 'xl/workbook.xml', xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        names.map((n, i) => `<sheet name="${escapeXml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>' },
+      { name: 'xl/styles.xml', xml: stylesXml },
+    ].concat(sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, xml: sheetXml(s) })));
+    return zipStore(files.map(f => ({ name: f.name, data: enc.encode(f.xml) })));
+  }
+
+  window.XlsxWriter = { buildWorkbook };
+})();